@@ -0,0 +1,100 @@
+// Service worker for the installed app. Caches the app shell and NREL solar
+// resource responses; the latest energyData and results per region are
+// cached by the app itself (see runHistory.js). The optimization backend
+// and ISO feeds always go to the network.
+//   navigations      network first, cached index.html offline
+//   shell assets     cache first (Vite fingerprints built files); bundles the
+//                    current index.html no longer references are pruned
+//   NREL responses   network first, cached copy offline, keyed without api_key
+const VERSION = 'v2';
+const SHELL_CACHE = `shell-${VERSION}`;
+const NREL_CACHE = `nrel-${VERSION}`;
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+// Styles come from the Tailwind CDN, so it is part of the shell too.
+const SHELL_ORIGINS = [self.location.origin, 'https://cdn.tailwindcss.com'];
+const NREL_ORIGIN = 'https://developer.nrel.gov';
+
+// Keeps the fixed shell plus whatever `html` (the current index.html) loads,
+// so hashed bundles from earlier deploys don't pile up.
+const pruneShell = async (html) => {
+  const current = new Set(SHELL.map(path => new URL(path, self.location.origin).href));
+  for (const [, path] of html.matchAll(/(?:src|href)="([^"]+)"/g)) {
+    current.add(new URL(path, self.location.origin).href);
+  }
+  const cache = await caches.open(SHELL_CACHE);
+  const requests = await cache.keys();
+  await Promise.all(requests
+    .filter(request => new URL(request.url).origin === self.location.origin && !current.has(request.url))
+    .map(request => cache.delete(request)));
+};
+
+const pruneFromCachedIndex = async () => {
+  const index = await caches.match('/', { cacheName: SHELL_CACHE });
+  if (index) await pruneShell(await index.text());
+};
+
+// NREL wants the key in the query string; it stays out of the cache key.
+const withoutApiKey = (url) => {
+  const key = new URL(url);
+  key.searchParams.delete('api_key');
+  return key.href;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== NREL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(pruneFromCachedIndex)
+      .then(() => self.clients.claim())
+  );
+});
+
+// The CDN script loads without CORS, so its response is opaque but usable.
+const cacheable = response => response.ok || response.type === 'opaque';
+
+const networkFirst = async (cacheName, request, fallbackKey = request, onFresh = () => {}) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (cacheable(response)) {
+      cache.put(fallbackKey, response.clone());
+      onFresh(response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackKey);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (cacheName, request) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (cacheable(response)) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(SHELL_CACHE, request, '/', (response) => {
+      event.waitUntil(response.text().then(pruneShell));
+    }));
+  } else if (url.origin === NREL_ORIGIN && url.pathname.startsWith('/api/solar/')) {
+    event.respondWith(networkFirst(NREL_CACHE, request, withoutApiKey(request.url)));
+  } else if (SHELL_ORIGINS.includes(url.origin) && !url.pathname.startsWith('/api/')) {
+    event.respondWith(cacheFirst(SHELL_CACHE, request));
+  }
+});
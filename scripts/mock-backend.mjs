@@ -0,0 +1,224 @@
+// Local stand-in for the Qiskit backend, for development and tests.
+//
+//   npm run mock-backend
+//   VITE_API_URL=http://localhost:8000 npm run dev
+//
+// Environment:
+//   PORT               listen port (default 8000)
+//   STEP_MS            time between job state changes (default 300)
+//   MAX_ITERATIONS     cap on optimizer iterations per job (default 20; the
+//                      request's solver.maxIterations may lower it)
+//   MOCK_BACKEND_MODE  "jobs" (default) or "sync" (no /api/jobs, legacy
+//                      endpoint only)
+//   FAIL               "1" to make every job fail while running
+//   FLAKY              answer the first N requests with 503 (exercises retries)
+//
+// createServer() takes the same settings as options ({ stepMs, maxIterations,
+// mode, fail, flaky }), so tests can start several differently configured
+// servers in one process.
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8000;
+const STEP_MS = Number(process.env.STEP_MS) || 300;
+const MAX_ITERATIONS = Number(process.env.MAX_ITERATIONS) || 20;
+const MOCK_BACKEND_MODE = process.env.MOCK_BACKEND_MODE || 'jobs';
+const FAIL = process.env.FAIL === '1';
+const FLAKY = Number(process.env.FLAKY) || 0;
+
+const QUBO_SLOTS = 24;
+
+// Bit 2t is "charge in slot t", bit 2t + 1 "discharge"; qubit 0 is the
+// rightmost character, as Qiskit prints bitstrings.
+const scheduleBitstring = schedule => schedule.slice(0, QUBO_SLOTS)
+  .flatMap(entry => [entry.action === 'Charge' ? '1' : '0', entry.action === 'Discharge' ? '1' : '0'])
+  .reverse()
+  .join('');
+
+const qaoaQasm = (qubits, reps) => {
+  const lines = ['OPENQASM 2.0;', 'include "qelib1.inc";', `qreg q[${qubits}];`, `creg c[${qubits}];`];
+  for (let i = 0; i < qubits; i++) lines.push(`h q[${i}];`);
+  for (let layer = 0; layer < reps; layer++) {
+    for (let i = 0; i < qubits - 1; i++) lines.push(`rzz(0.42) q[${i}],q[${i + 1}];`);
+    for (let i = 0; i < qubits; i++) lines.push(`rz(0.17) q[${i}];`);
+    for (let i = 0; i < qubits; i++) lines.push(`rx(0.83) q[${i}];`);
+  }
+  for (let i = 0; i < qubits; i++) lines.push(`measure q[${i}] -> c[${i}];`);
+  return lines.join('\n');
+};
+
+// The winning bitstring plus single-bit flips of it, with falling counts
+// that add up to the requested shots.
+const mockCounts = (best, shots) => {
+  const weights = [412];
+  const strings = [best];
+  for (let i = 0; i < Math.min(12, best.length); i++) {
+    const pos = (i * 7) % best.length;
+    strings.push(best.slice(0, pos) + (best[pos] === '1' ? '0' : '1') + best.slice(pos + 1));
+    weights.push(Math.max(8, 120 - i * 9));
+  }
+  const total = weights.reduce((a, b) => a + b, 0);
+  const counts = {};
+  strings.forEach((bits, idx) => {
+    counts[bits] = (counts[bits] || 0) + Math.round(weights[idx] / total * shots);
+  });
+  return counts;
+};
+
+const SOLVER_NAMES = { qaoa: 'QAOA', vqe: 'VQE', milp: 'Classical MILP' };
+
+const optimize = ({ solver = { solver: 'qaoa' }, ...energyData }, { stepMs, maxIterations }) => {
+  const power = energyData.capacity.battery;
+  const schedule = energyData.hourly.map((hour) => {
+    const surplus = hour.total + (hour.nuclear || 0) - hour.demand;
+    return {
+      hour: hour.hour,
+      action: surplus > 0 ? 'Charge' : 'Discharge',
+      amount: Math.round(Math.min(Math.abs(surplus), power)),
+      efficiency: 92,
+      gridBalance: Math.round(surplus)
+    };
+  });
+  const bestBitstring = scheduleBitstring(schedule);
+  const quantum = solver.solver !== 'milp';
+  const iterations = Math.min(maxIterations, solver.maxIterations || maxIterations);
+  const label = `${SOLVER_NAMES[solver.solver] || 'QAOA'} (Mock ${solver.backend === 'hardware' ? 'Hardware' : 'Backend'})`;
+  return {
+    schedule,
+    recommendations: [],
+    ...(quantum ? {
+      qasm: qaoaQasm(bestBitstring.length, solver.reps || 1),
+      counts: mockCounts(bestBitstring, solver.shots || 1024),
+      bestBitstring
+    } : {}),
+    convergence: Array.from({ length: iterations }, (_, idx) => ({
+      iteration: idx + 1,
+      cost: Number((1 / (2 + idx)).toFixed(4))
+    })),
+    metrics: {
+      qubits: quantum ? bestBitstring.length : 0,
+      gates: quantum ? 248 : 0,
+      depth: quantum ? 42 : 0,
+      executionTime: ((iterations + 2) * stepMs / 1000).toFixed(2),
+      fidelity: quantum ? '0.950' : 'N/A',
+      optimization: label,
+      iterations
+    },
+    summary: { totalOptimization: 18, costSaving: 14000, carbonReduction: 520, efficiency: 91 }
+  };
+};
+
+const advance = (job, options) => {
+  if (['completed', 'failed', 'cancelled'].includes(job.status)) return;
+  if (job.status === 'queued') {
+    job.status = 'transpiling';
+  } else if (job.status === 'transpiling') {
+    job.status = 'running';
+    job.iteration = 0;
+  } else if (job.iteration < job.maxIterations) {
+    job.iteration += 1;
+    job.cost = Number((1 / (1 + job.iteration)).toFixed(4));
+    if (options.fail && job.iteration === Math.ceil(job.maxIterations / 2)) {
+      job.status = 'failed';
+      job.error = 'Mock backend failure';
+    }
+  } else {
+    job.status = 'completed';
+    job.result = optimize(job.payload, options);
+  }
+  if (!['completed', 'failed'].includes(job.status)) {
+    job.timer = setTimeout(() => advance(job, options), options.stepMs);
+  }
+};
+
+const publicJob = ({ payload, timer, ...job }) => job;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+export const createServer = ({
+  stepMs = STEP_MS,
+  maxIterations = MAX_ITERATIONS,
+  mode = MOCK_BACKEND_MODE,
+  fail = FAIL,
+  flaky = FLAKY
+} = {}) => {
+  const options = { stepMs, maxIterations, fail };
+  const jobs = new Map();
+  let flakyRemaining = flaky;
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    const jobMatch = pathname.match(/^\/api\/jobs\/([\w-]+)$/);
+
+    try {
+      if (req.method === 'OPTIONS') return send(res, 204);
+
+      if (flakyRemaining > 0) {
+        flakyRemaining -= 1;
+        return send(res, 503, { error: 'Mock backend temporarily unavailable' });
+      }
+
+      if (req.method === 'GET' && pathname === '/api/health') {
+        return send(res, 200, { status: 'ok', mode });
+      }
+
+      if (req.method === 'POST' && pathname === '/api/optimize') {
+        return send(res, 200, optimize(await readBody(req), options));
+      }
+
+      if (mode === 'jobs' && req.method === 'POST' && pathname === '/api/jobs') {
+        const payload = await readBody(req);
+        const jobIterations = Math.min(maxIterations, (payload.solver && payload.solver.maxIterations) || maxIterations);
+        const job = { jobId: randomUUID(), status: 'queued', iteration: null, maxIterations: jobIterations, cost: null, payload };
+        jobs.set(job.jobId, job);
+        job.timer = setTimeout(() => advance(job, options), stepMs);
+        return send(res, 202, publicJob(job));
+      }
+
+      if (mode === 'jobs' && jobMatch) {
+        const job = jobs.get(jobMatch[1]);
+        if (!job) return send(res, 404, { error: 'Unknown job' });
+        if (req.method === 'GET') return send(res, 200, publicJob(job));
+        if (req.method === 'DELETE') {
+          clearTimeout(job.timer);
+          if (!['completed', 'failed'].includes(job.status)) job.status = 'cancelled';
+          return send(res, 200, publicJob(job));
+        }
+      }
+
+      return send(res, 404, { error: 'Not found' });
+    } catch (error) {
+      return send(res, 400, { error: error.message });
+    }
+  });
+
+  // Pending job timers would otherwise keep the process alive after close().
+  server.on('close', () => jobs.forEach(job => clearTimeout(job.timer)));
+  return server;
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createServer().listen(PORT, () => {
+    console.log(`Mock quantum backend (${MOCK_BACKEND_MODE} mode) listening on http://localhost:${PORT}`);
+  });
+}
@@ -1,6 +1,46 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Zap, Sun, Wind, Droplets, Battery, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Line, ComposedChart, Bar, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush } from 'recharts';
+import { Zap, Sun, Wind, Droplets, Battery, AlertCircle, Lock, Atom, Flame, WifiOff } from 'lucide-react';
+import { defaultBatteryParams, simulateStateOfCharge } from './optimizer';
+import BatteryEditor from './components/BatteryEditor';
+import { regions } from './regions';
+import { getRegionDataSources } from './dataSources';
+import { generateEnergyData } from './energyData';
+import { runLocalOptimizer, withRecommendations } from './localOptimizer';
+import ProfileImport from './components/ProfileImport';
+import ExportPanel from './components/ExportPanel';
+import HistoryPanel from './components/HistoryPanel';
+import { saveRun, saveLatestRun, loadLatestRun } from './runHistory';
+import SettingsPanel from './components/SettingsPanel';
+import { loadSettings, saveSettings, resetSettings, redactSecrets } from './settings';
+import { submitOptimization, checkBackendHealth, isCancellation } from './optimizeClient';
+import JobProgress from './components/JobProgress';
+import ScenarioEditor from './components/ScenarioEditor';
+import { applyScenario } from './scenarios';
+import { evaluateSchedule } from './pricing';
+import { applyDispatch, surplusOf } from './generationMix';
+import PricingPanel from './components/PricingPanel';
+import SupplyMixChart, { hasDispatch } from './components/SupplyMixChart';
+import MultiRegionPanel from './components/MultiRegionPanel';
+import QuantumInspector from './components/QuantumInspector';
+import SolverPanel from './components/SolverPanel';
+import { loadSolverSettings, saveSolverSettings, solverRequest, describeSolver } from './solver';
+import RecommendationsPanel from './components/RecommendationsPanel';
+import { loadRules, saveRules, loadAlertState, acknowledgeAlert, isAlertActive, isSameAlert, refreshAlertState } from './recommendations';
+import { showNotification } from './notifications';
+import {
+  BAND_SERIES, bandKeys, hasBands, sampleScenarios, defaultImportLimit, scheduleRisk, DEFAULT_SAMPLES
+} from './uncertainty';
+import UncertaintyPanel from './components/UncertaintyPanel';
+import LiveControls from './components/LiveControls';
+import {
+  defaultLiveSettings, LOAD_DEBOUNCE_MS, forecastChange, needsReoptimization, carryOverPlan, pinExecutedSlots
+} from './liveMode';
+import { HORIZON_OPTIONS, RESOLUTION_OPTIONS, DEFAULT_HORIZON, stepHoursOf, horizonLabel } from './timeSeries';
+
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+// Above one point per hour of a day the charts get a brush for zooming.
+const BRUSH_THRESHOLD = 24;
 
 const QuantumEnergyScheduler = () => {
   const [selectedRegion, setSelectedRegion] = useState('california');
@@ -9,220 +49,378 @@ const QuantumEnergyScheduler = () => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [backendStatus, setBackendStatus] = useState('checking');
   const [usingRealData, setUsingRealData] = useState(false);
-  
-  const API_URL = 'https://quantumscheduler.up.railway.app';
-  const NREL_API_KEY = 'DEMO_KEY';
-
-  const regions = [
-    { id: 'california', name: 'California (CAISO)', utilityId: 'PacifiCorp', shortName: 'California', lat: 36.7783, lon: -119.4179 },
-    { id: 'texas', name: 'Texas (ERCOT)', utilityId: 'Oncor', shortName: 'Texas', lat: 31.9686, lon: -99.9018 },
-    { id: 'newyork', name: 'New York (NYISO)', utilityId: 'ConEdison', shortName: 'New York', lat: 42.1657, lon: -74.9481 },
-    { id: 'newengland', name: 'New England (ISO-NE)', utilityId: 'Eversource', shortName: 'New England', lat: 44.5588, lon: -69.6544 },
-    { id: 'midwest', name: 'Midwest (MISO)', utilityId: 'ComEd', shortName: 'Midwest', lat: 41.8781, lon: -87.6298 },
-    { id: 'pjm', name: 'PJM Interconnection', utilityId: 'PECO', shortName: 'PJM', lat: 40.0583, lon: -76.3055 },
-    { id: 'southwest', name: 'Southwest (SPP)', utilityId: 'AEP', shortName: 'Southwest', lat: 35.2220, lon: -101.8313 },
-    { id: 'northwest', name: 'Northwest (BPA)', utilityId: 'Seattle City Light', shortName: 'Northwest', lat: 47.7511, lon: -120.7401 }
-  ];
-
-  const fetchNRELSolarData = async (lat, lon) => {
-    try {
-      console.log('🌞 Fetching real solar data from NREL API...');
-      
-      const response = await fetch(
-        `https://developer.nrel.gov/api/solar/solar_resource/v1.json?api_key=${NREL_API_KEY}&lat=${lat}&lon=${lon}`
-      );
-      
-      if (!response.ok) {
-        throw new Error('NREL API request failed');
-      }
-      
-      const data = await response.json();
-      console.log('✅ Real solar data received from NREL:', data);
-      
-      return data.outputs;
-    } catch (error) {
-      console.error('❌ NREL API error:', error);
-      return null;
-    }
+  const [batterySettings, setBatterySettings] = useState({});
+  const [dataSourceSettings, setDataSourceSettings] = useState({});
+  const [horizonSettings, setHorizonSettings] = useState(DEFAULT_HORIZON);
+  const [priceSettings, setPriceSettings] = useState({});
+  const [importedProfile, setImportedProfile] = useState(null);
+  const [view, setView] = useState('dashboard');
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [settings, setSettings] = useState(loadSettings);
+  const [jobProgress, setJobProgress] = useState(null);
+  const [optimizationError, setOptimizationError] = useState(null);
+  const [solverSettings, setSolverSettings] = useState(loadSolverSettings);
+  const [robustSettings, setRobustSettings] = useState({ mode: 'deterministic', samples: DEFAULT_SAMPLES, importLimitMW: null });
+  const [showBands, setShowBands] = useState(true);
+  const [forecastView, setForecastView] = useState('mix');
+  const [liveSettings, setLiveSettings] = useState(defaultLiveSettings);
+  const [lastUpdated, setLastUpdated] = useState({ data: null, optimized: null, changePct: null, error: null });
+  const [online, setOnline] = useState(() => navigator.onLine);
+  // When the view on screen is the cached one: when it was saved.
+  const [cachedAt, setCachedAt] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const viewRegionRef = useRef(null);
+  const liveRef = useRef({});
+  const [rules, setRules] = useState(loadRules);
+  const [alertState, setAlertState] = useState(loadAlertState);
+  const notifiedRef = useRef([]);
+  const optimizationRef = useRef(null);
+  const [scenarioRun, setScenarioRun] = useState(null);
+  const scenarioRef = useRef(null);
+
+  const loadRegionData = async (region) => {
+    const data = await generateEnergyData(region, {
+      profile: importedProfile,
+      battery: batterySettings[region],
+      pricing: priceSettings[region],
+      source: dataSourceSettings[region] || 'simulator',
+      horizon: horizonSettings,
+      nrelApiKey: settings.nrelApiKey,
+      pjmApiKey: settings.pjmApiKey
+    });
+    if (data.usingRealSolarData) setUsingRealData(true);
+    return data;
   };
 
-  const generateEnergyData = async (region) => {
-    const regionInfo = regions.find(r => r.id === region);
-    
-    const regionConfig = {
-      california: { baseLoad: 35000, solarPeak: 0.4, windFactor: 0.2, hydroFactor: 0.15 },
-      texas: { baseLoad: 45000, solarPeak: 0.35, windFactor: 0.35, hydroFactor: 0.05 },
-      newyork: { baseLoad: 28000, solarPeak: 0.25, windFactor: 0.2, hydroFactor: 0.1 },
-      newengland: { baseLoad: 22000, solarPeak: 0.2, windFactor: 0.25, hydroFactor: 0.12 },
-      midwest: { baseLoad: 38000, solarPeak: 0.28, windFactor: 0.4, hydroFactor: 0.08 },
-      pjm: { baseLoad: 42000, solarPeak: 0.3, windFactor: 0.22, hydroFactor: 0.1 },
-      southwest: { baseLoad: 32000, solarPeak: 0.38, windFactor: 0.32, hydroFactor: 0.06 },
-      northwest: { baseLoad: 26000, solarPeak: 0.22, windFactor: 0.18, hydroFactor: 0.25 }
-    };
-    
-    const config = regionConfig[region] || regionConfig.california;
-    const baseLoad = config.baseLoad;
-    let solarPeak = config.solarPeak;
-    const windFactor = config.windFactor;
-    const hydroFactor = config.hydroFactor;
-    
-    let nrelData = null;
-    let isRealSolarData = false;
-    
-    if (regionInfo) {
-      nrelData = await fetchNRELSolarData(regionInfo.lat, regionInfo.lon);
-      if (nrelData && nrelData.avg_ghi) {
-        const ghi = nrelData.avg_ghi.annual || 5;
-        solarPeak = (ghi / 5) * config.solarPeak;
-        isRealSolarData = true;
-        setUsingRealData(true);
-        console.log(`✅ Using real NREL solar data for ${regionInfo.name}: GHI=${ghi.toFixed(2)} kWh/m²/day`);
-      }
+  // Live reoptimizations pass record: false; a new run every few minutes
+  // would bury the history and fill IndexedDB with energyData snapshots.
+  const publishResults = (energyData, results, { record = true } = {}) => {
+    setQuantumResults(results);
+    setLastUpdated(prev => ({ ...prev, optimized: new Date().toISOString() }));
+    if (record) {
+      saveRun(selectedRegion, energyData, results)
+        .then(() => setHistoryVersion(v => v + 1))
+        .catch(error => console.error('❌ Could not save run to history:', error));
     }
-    
-    const hourlyData = [];
-    const currentHour = new Date().getHours();
-    
-    for (let i = 0; i < 24; i++) {
-      const hour = (currentHour + i) % 24;
-      const solarOutput = hour >= 6 && hour <= 18 
-        ? Math.sin((hour - 6) * Math.PI / 12) * solarPeak * baseLoad
-        : 0;
-      const windOutput = (Math.sin(hour * Math.PI / 8) + 1) * windFactor * baseLoad / 2;
-      const hydroOutput = baseLoad * hydroFactor;
-      const demand = baseLoad * (0.7 + 0.3 * Math.sin((hour - 14) * Math.PI / 12));
-      
-      hourlyData.push({
-        hour: `${hour}:00`,
-        solar: Math.round(solarOutput),
-        wind: Math.round(windOutput),
-        hydro: Math.round(hydroOutput),
-        demand: Math.round(demand),
-        total: Math.round(solarOutput + windOutput + hydroOutput)
-      });
+    saveLatestRun(selectedRegion, energyData, results)
+      .catch(error => console.error('❌ Could not cache run for offline use:', error));
+  };
+
+  const showCachedRun = (region, cached) => {
+    viewRegionRef.current = region;
+    setEnergyData(cached.energyData);
+    setQuantumResults(cached.quantumResults);
+    setCachedAt(cached.savedAt);
+    setLastUpdated({ data: cached.savedAt, optimized: cached.savedAt, changePct: null, error: null });
+  };
+
+  const cancelOptimization = () => {
+    if (optimizationRef.current) {
+      optimizationRef.current.abort();
+      optimizationRef.current = null;
     }
-    
-    return {
-      region: regionInfo.name,
-      timestamp: new Date().toISOString(),
-      current: {
-        solar: hourlyData[0].solar,
-        wind: hourlyData[0].wind,
-        hydro: hourlyData[0].hydro,
-        total: hourlyData[0].total,
-        demand: hourlyData[0].demand
-      },
-      hourly: hourlyData,
-      capacity: {
-        solar: Math.round(baseLoad * solarPeak),
-        wind: Math.round(baseLoad * windFactor),
-        hydro: Math.round(baseLoad * hydroFactor),
-        battery: Math.round(baseLoad * 0.1)
-      },
-      dataSource: isRealSolarData ? 'NREL API (Real Solar Data)' : 'Simulated',
-      nrelData: nrelData
-    };
   };
 
-  const runQuantumOptimization = async (energyData) => {
-    setIsProcessing(true);
-    
+  // Real backend first; any failure other than a cancellation falls back to
+  // the classical optimizer so there is always a result to show. The solver
+  // request goes out with the payload and is kept on the result either way.
+  const solveEnergyData = async (energyData, { signal, onProgress, solver = solverSettings, fixed = [] } = {}) => {
+    const request = solverRequest(solver);
+    if (request.solver === 'local') {
+      return { ...runLocalOptimizer(energyData, 'Classical DP (Local)', rules, { fixed }), solver: request };
+    }
+
     try {
-      console.log('🔄 Calling Qiskit backend at:', API_URL);
+      console.log('🔄 Calling Qiskit backend at:', settings.apiUrl, describeSolver(request));
       
-      const response = await fetch(`${API_URL}/api/optimize`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(energyData)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Backend returned ${response.status}: ${response.statusText}`);
-      }
-      
-      const results = await response.json();
+      const results = await submitOptimization({ ...energyData, solver: request }, { settings, signal, onProgress });
       console.log('✅ Real quantum results received from backend:', results);
       
-      setQuantumResults({
+      const pinned = pinExecutedSlots(energyData, results.schedule && results.schedule.every(entry => entry.stateOfCharge != null)
+        ? results.schedule
+        : simulateStateOfCharge(results.schedule || [], energyData.battery, stepHoursOf(energyData)), fixed);
+      const { schedule, summary: dispatch } = applyDispatch(energyData, pinned);
+
+      // Savings are always measured the same way, whoever produced the schedule.
+      setBackendStatus('connected');
+      return withRecommendations(energyData, {
         ...results,
+        schedule,
+        summary: { ...results.summary, ...evaluateSchedule(energyData, schedule), ...dispatch },
+        solver: request,
         usingRealBackend: true
-      });
-      setBackendStatus('connected');
+      }, rules);
       
     } catch (error) {
-      console.error('❌ Error calling quantum backend:', error);
-      console.log('⚠️ Falling back to simulated results');
+      if ((signal && signal.aborted) || isCancellation(error)) {
+        throw error;
+      }
+      console.error('❌ Error calling quantum backend:', redactSecrets(error.message, settings));
+      console.log('⚠️ Falling back to classical optimizer');
       
       setBackendStatus('fallback');
-      
-      const schedule = [];
-      const recommendations = [];
-      
-      energyData.hourly.forEach((hour, idx) => {
-        const surplus = hour.total - hour.demand;
-        const batteryAction = surplus > 0 ? 'Charge' : 'Discharge';
-        const batteryAmount = Math.min(Math.abs(surplus), energyData.capacity.battery);
-        
-        schedule.push({
-          hour: hour.hour,
-          action: batteryAction,
-          amount: Math.round(batteryAmount),
-          efficiency: Math.round(85 + Math.random() * 10),
-          gridBalance: Math.round(surplus)
-        });
-
-        if (idx < 8) {
-          if (surplus > energyData.capacity.battery * 0.5) {
-            recommendations.push({
-              time: hour.hour,
-              type: 'excess',
-              message: `High renewable output detected. Recommend charging storage or exporting ${Math.round(surplus * 0.8)} MW to grid.`
-            });
-          } else if (surplus < -energyData.capacity.battery * 0.3) {
-            recommendations.push({
-              time: hour.hour,
-              type: 'deficit',
-              message: `Demand exceeds supply. Recommend discharging storage or importing ${Math.round(Math.abs(surplus) * 0.9)} MW from grid.`
-            });
-          }
+      return { ...runLocalOptimizer(energyData, 'Classical DP (Fallback Mode)', rules, { fixed }), solver: request };
+    }
+  };
+
+  // Robust mode plans against sampled forecast scenarios, which only the
+  // in-browser DP supports. Either way the result carries how often its
+  // schedule leaves demand unmet across an independent set of samples.
+  const optimizeEnergyData = async (energyData, { robust = robustSettings, fixed = [], ...options } = {}) => {
+    const importLimitMW = robust.importLimitMW ?? defaultImportLimit(energyData);
+    const results = robust.mode === 'robust'
+      ? {
+        ...runLocalOptimizer(energyData, `Classical DP (Robust, ${robust.samples} scenarios)`, rules, {
+          robust: { scenarios: sampleScenarios(energyData, robust.samples), importLimitMW },
+          fixed
+        }),
+        solver: solverRequest({ solver: 'local' })
+      }
+      : await solveEnergyData(energyData, { ...options, fixed });
+    return { ...results, risk: scheduleRisk(energyData, results.schedule, importLimitMW) };
+  };
+
+  // Only the most recent request may touch state: starting a new run (or
+  // switching regions) aborts the previous one, so a slow response for an
+  // old region can never overwrite the current one.
+  const runQuantumOptimization = async (energyData, { solver = solverSettings, robust = robustSettings, fixed = [], record = true } = {}) => {
+    cancelOptimization();
+    const controller = new AbortController();
+    optimizationRef.current = controller;
+    setIsProcessing(true);
+    setJobProgress({ status: 'queued' });
+    setOptimizationError(null);
+    
+    try {
+      const results = await optimizeEnergyData(energyData, {
+        signal: controller.signal,
+        solver,
+        robust,
+        fixed,
+        onProgress: (job) => {
+          if (!controller.signal.aborted) setJobProgress(job);
         }
       });
+      if (controller.signal.aborted) return;
+      publishResults(energyData, results, { record });
+    } catch (error) {
+      if (isCancellation(error) || controller.signal.aborted) {
+        console.log('⏹️ Optimization cancelled');
+      } else {
+        console.error('❌ Optimization failed:', error);
+        setOptimizationError(redactSecrets(error.message, settings));
+      }
+    } finally {
+      if (optimizationRef.current === controller) {
+        optimizationRef.current = null;
+        setIsProcessing(false);
+        setJobProgress(null);
+      }
+    }
+  };
 
-      setQuantumResults({
-        schedule,
-        recommendations,
-        metrics: {
-          qubits: 12,
-          gates: 248,
-          depth: 42,
-          executionTime: '(Simulated)',
-          fidelity: (0.92 + Math.random() * 0.06).toFixed(3),
-          optimization: 'QAOA (Fallback Mode)',
-          iterations: 50
-        },
-        summary: {
-          totalOptimization: Math.round(15 + Math.random() * 10),
-          costSaving: Math.round(12000 + Math.random() * 5000),
-          carbonReduction: Math.round(450 + Math.random() * 200),
-          efficiency: Math.round(88 + Math.random() * 8)
-        },
-        usingRealBackend: false
-      });
+  const clearScenario = () => {
+    if (scenarioRef.current) {
+      scenarioRef.current.abort();
+      scenarioRef.current = null;
+    }
+    setScenarioRun(null);
+  };
+
+  // Scenario runs go through the same backend/fallback path but live next to
+  // the base case instead of replacing it.
+  const runScenario = async (scenario) => {
+    clearScenario();
+    const controller = new AbortController();
+    scenarioRef.current = controller;
+    const data = applyScenario(energyData, scenario);
+    setScenarioRun({ scenario, energyData: data, results: null });
+
+    try {
+      const results = await optimizeEnergyData(data, { signal: controller.signal });
+      if (!controller.signal.aborted) setScenarioRun({ scenario, energyData: data, results });
+    } catch (error) {
+      if (isCancellation(error) || controller.signal.aborted) {
+        console.log('⏹️ Scenario run cancelled');
+      } else {
+        console.error('❌ Scenario run failed:', error);
+        setScenarioRun({ scenario, energyData: data, results: null, error: redactSecrets(error.message, settings) });
+      }
     } finally {
-      setIsProcessing(false);
+      if (scenarioRef.current === controller) scenarioRef.current = null;
+    }
+  };
+
+  const stopOptimization = () => {
+    cancelOptimization();
+    setIsProcessing(false);
+    setJobProgress({ status: 'cancelled' });
+    setQuantumResults(null);
+  };
+
+  const applyBatteryParams = (battery) => {
+    setBatterySettings({ ...batterySettings, [selectedRegion]: battery });
+    const data = {
+      ...energyData,
+      capacity: { ...energyData.capacity, battery: battery.powerMW },
+      battery
+    };
+    setEnergyData(data);
+    runQuantumOptimization(data);
+  };
+
+  const applySolverSettings = (solver) => {
+    setSolverSettings(saveSolverSettings(solver));
+    runQuantumOptimization(energyData, { solver });
+  };
+
+  const applyRobustSettings = (next) => {
+    setRobustSettings(next);
+    runQuantumOptimization(energyData, { robust: next });
+  };
+
+  const applyRules = (next) => {
+    setRules(saveRules(next));
+    if (quantumResults) setQuantumResults(withRecommendations(energyData, quantumResults, next));
+    if (scenarioRun && scenarioRun.results) {
+      setScenarioRun({ ...scenarioRun, results: withRecommendations(scenarioRun.energyData, scenarioRun.results, next) });
     }
   };
 
+  const criticalAlerts = quantumResults
+    ? quantumResults.recommendations.filter(rec => rec.severity === 'critical' && isAlertActive(rec, alertState))
+    : [];
+
+  useEffect(() => {
+    if (quantumResults) setAlertState(state => refreshAlertState(state, quantumResults.recommendations));
+  }, [quantumResults]);
+
+  // Each critical alert raises one browser notification (when permitted),
+  // and not again when a horizon roll shifts its window; the in-app banner
+  // stays until the alerts are acknowledged or snoozed.
+  useEffect(() => {
+    const regionName = (regions.find(r => r.id === selectedRegion) || { name: 'Custom profile' }).name;
+    const now = Date.now();
+    const notified = notifiedRef.current.filter(rec => !(rec.endsAt <= now));
+    criticalAlerts.forEach((rec) => {
+      const idx = notified.findIndex(seen => isSameAlert(seen, rec));
+      if (idx >= 0) {
+        notified[idx] = rec;
+        return;
+      }
+      notified.push(rec);
+      showNotification(`Critical: ${regionName}`, `${rec.time} — ${rec.message}`, rec.key);
+    });
+    notifiedRef.current = notified;
+  }, [quantumResults, alertState]);
+
+  // Backend status tracks a periodic health check, independent of whether
+  // the last optimization came from Qiskit or the fallback.
+  useEffect(() => {
+    const controller = new AbortController();
+    const check = async () => {
+      const healthy = await checkBackendHealth(settings, controller.signal);
+      if (controller.signal.aborted) return;
+      setBackendStatus(healthy ? 'connected' : 'fallback');
+    };
+    check();
+    const timer = setInterval(check, HEALTH_CHECK_INTERVAL_MS);
+    return () => {
+      controller.abort();
+      clearInterval(timer);
+    };
+  }, [settings]);
+
+  // Debounced: only the last of several quick switches fetches anything.
+  // Switching to a region shows its cached run straight away; offline, that
+  // is where it stays rather than falling back to simulated data.
   useEffect(() => {
+    let active = true;
+    let fresh = false;
+    const region = selectedRegion;
+    const switching = viewRegionRef.current !== region;
+    const cachedRun = loadLatestRun(region).catch(() => null);
+    if (switching) {
+      cachedRun.then((cached) => {
+        if (active && !fresh && cached) showCachedRun(region, cached);
+      });
+    }
     const loadData = async () => {
-      const data = await generateEnergyData(selectedRegion);
+      if (switching && !navigator.onLine) {
+        const cached = await cachedRun;
+        if (!active) return;
+        if (cached) {
+          showCachedRun(region, cached);
+          return;
+        }
+      }
+      const data = await loadRegionData(region);
+      if (!active) return;
+      fresh = true;
+      viewRegionRef.current = region;
+      setCachedAt(null);
       setEnergyData(data);
+      setLastUpdated(prev => ({ ...prev, data: new Date().toISOString(), changePct: null, error: null }));
       runQuantumOptimization(data);
     };
-    loadData();
-  }, [selectedRegion]);
+    const timer = setTimeout(loadData, energyData ? LOAD_DEBOUNCE_MS : 0);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      cancelOptimization();
+      clearScenario();
+    };
+  }, [selectedRegion, dataSourceSettings, horizonSettings, priceSettings, importedProfile, settings, reloadKey]);
+
+  // Back online with a cached view on screen: load fresh data.
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (online && cachedAt) setReloadKey(key => key + 1);
+  }, [online]);
+
+  // Live mode reloads the current region on an interval and rolls the plan
+  // forward (see liveMode.js). Skipped while a run is in flight or the tab
+  // is hidden; the interval reads the latest state through liveRef. A failed
+  // refresh keeps the current plan and shows the error next to the controls.
+  const refreshLive = async () => {
+    if (!energyData || isProcessing || document.hidden || !navigator.onLine) return;
+    const region = selectedRegion;
+    try {
+      const next = await loadRegionData(region);
+      const { region: current, energyData: previous, quantumResults: results } = liveRef.current;
+      if (current !== region) return;
+
+      const change = forecastChange(previous, next);
+      const { energyData: data, fixed } = carryOverPlan(previous, results, next);
+      setEnergyData(data);
+      setLastUpdated(prev => ({ ...prev, data: new Date().toISOString(), changePct: change.changePct, error: null }));
+      if (needsReoptimization(change, liveSettings.thresholdPct)) {
+        console.log(`🔁 Live reoptimization (${change.rolled ? 'horizon rolled' : `forecast moved ${change.changePct}%`}, ${fixed.length} slot(s) pinned)`);
+        runQuantumOptimization(data, { fixed, record: false });
+      }
+    } catch (error) {
+      const message = redactSecrets(error.message, settings);
+      console.error('❌ Live refresh failed:', message);
+      setLastUpdated(prev => ({ ...prev, error: message }));
+    }
+  };
+  liveRef.current = { region: selectedRegion, energyData, quantumResults, refresh: refreshLive };
+
+  useEffect(() => {
+    if (!liveSettings.enabled) return undefined;
+    const timer = setInterval(() => liveRef.current.refresh(), liveSettings.intervalMinutes * 60000);
+    return () => clearInterval(timer);
+  }, [liveSettings]);
 
   if (!energyData) {
     return (
@@ -235,6 +433,37 @@ const QuantumEnergyScheduler = () => {
     );
   }
 
+  const scenarioData = scenarioRun && scenarioRun.energyData;
+  const scenarioResults = scenarioRun && scenarioRun.results;
+  // Bands are drawn as range areas, which take [low, high] per point.
+  const forecastData = energyData.hourly.map((entry, idx) => ({
+    ...entry,
+    ...Object.fromEntries(BAND_SERIES.map(series => [
+      `${series}Band`,
+      hasBands(entry, series) ? bandKeys(series).map(key => entry[key]) : null
+    ])),
+    ...(scenarioData ? {
+      scenarioSolar: scenarioData.hourly[idx].solar,
+      scenarioWind: scenarioData.hourly[idx].wind,
+      scenarioDemand: scenarioData.hourly[idx].demand
+    } : {})
+  }));
+  const scheduleData = quantumResults && scenarioResults
+    ? quantumResults.schedule.map((entry, idx) => ({
+      ...entry,
+      scenarioAmount: scenarioResults.schedule[idx] ? scenarioResults.schedule[idx].amount : null,
+      scenarioSoC: scenarioResults.schedule[idx] ? scenarioResults.schedule[idx].stateOfCharge : null
+    }))
+    : quantumResults && quantumResults.schedule;
+  const forecastTitle = `${horizonLabel(energyData)} Production Forecast`;
+  // Renewables and nuclear against demand in the current slot; the rest is
+  // what storage and the dispatchable side have to cover or absorb.
+  const currentSurplus = surplusOf(energyData.current);
+  const currentDispatch = hasDispatch(quantumResults) ? quantumResults.schedule[0] : null;
+  // The local solver and robust mode never call the backend, so a retry
+  // would only rerun the same local plan.
+  const canRetryBackend = solverSettings.solver !== 'local' && robustSettings.mode !== 'robust';
+
   return (
     <div className="min-h-screen bg-white p-6">
       <div className="mb-6">
@@ -244,6 +473,24 @@ const QuantumEnergyScheduler = () => {
             <h1 className="text-3xl font-bold text-gray-800">Quantum Energy Scheduler</h1>
           </div>
           <div className="flex items-center gap-2">
+            <button
+              onClick={() => setView(view === 'multi' ? 'dashboard' : 'multi')}
+              className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              {view === 'multi' ? 'Back to Dashboard' : 'Multi-Region'}
+            </button>
+            <button
+              onClick={() => setView(view === 'history' ? 'dashboard' : 'history')}
+              className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              {view === 'history' ? 'Back to Dashboard' : 'Run History'}
+            </button>
+            <button
+              onClick={() => setView(view === 'settings' ? 'dashboard' : 'settings')}
+              className="px-3 py-1 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              {view === 'settings' ? 'Back to Dashboard' : 'Settings'}
+            </button>
             {backendStatus === 'checking' && (
               <div className="flex items-center gap-2 text-sm text-gray-600">
                 <div className="w-2 h-2 bg-yellow-500 rounded-full animate-pulse"></div>
@@ -263,6 +510,12 @@ const QuantumEnergyScheduler = () => {
                 <span className="font-semibold">Simulation Mode (Backend Offline)</span>
               </div>
             )}
+            {!online && (
+              <div className="flex items-center gap-2 text-sm text-gray-700 bg-gray-100 px-3 py-1 rounded-lg border border-gray-300">
+                <WifiOff className="w-4 h-4" />
+                <span className="font-semibold">Offline</span>
+              </div>
+            )}
           </div>
         </div>
         
@@ -280,227 +533,595 @@ const QuantumEnergyScheduler = () => {
               {region.shortName}
             </button>
           ))}
+          {importedProfile && (
+            <button
+              onClick={() => setSelectedRegion('custom')}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                selectedRegion === 'custom'
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              Custom: {importedProfile.name}
+            </button>
+          )}
         </div>
-      </div>
 
-      <div className="grid grid-cols-2 gap-6">
-        <div className="space-y-6">
-          <h2 className="text-xl font-bold text-gray-700 border-b-2 border-blue-600 pb-2">
-            Observed Data
-          </h2>
-
-          <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
-            <h3 className="font-semibold text-gray-700 mb-2 flex items-center justify-between">
-              <span className="flex items-center gap-2">
-                <Zap className="w-5 h-5 text-blue-600" />
-                Current Production & Demand
-              </span>
-              <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded font-semibold">
-                {energyData.dataSource}
-              </span>
-            </h3>
-            <div className="grid grid-cols-2 gap-4 mt-4">
-              <div className="bg-white p-4 rounded-lg border border-gray-200">
-                <div className="flex items-center gap-2 mb-2">
-                  <Sun className="w-5 h-5 text-yellow-500" />
-                  <span className="text-sm text-gray-600">Solar</span>
-                </div>
-                <p className="text-2xl font-bold text-gray-800">{energyData.current.solar.toLocaleString()}</p>
-                <p className="text-xs text-gray-500">MW</p>
-              </div>
-              <div className="bg-white p-4 rounded-lg border border-gray-200">
-                <div className="flex items-center gap-2 mb-2">
-                  <Wind className="w-5 h-5 text-cyan-500" />
-                  <span className="text-sm text-gray-600">Wind</span>
-                </div>
-                <p className="text-2xl font-bold text-gray-800">{energyData.current.wind.toLocaleString()}</p>
-                <p className="text-xs text-gray-500">MW</p>
-              </div>
-              <div className="bg-white p-4 rounded-lg border border-gray-200">
-                <div className="flex items-center gap-2 mb-2">
-                  <Droplets className="w-5 h-5 text-blue-500" />
-                  <span className="text-sm text-gray-600">Hydro</span>
-                </div>
-                <p className="text-2xl font-bold text-gray-800">{energyData.current.hydro.toLocaleString()}</p>
-                <p className="text-xs text-gray-500">MW</p>
-              </div>
-              <div className="bg-white p-4 rounded-lg border border-gray-200">
-                <div className="flex items-center gap-2 mb-2">
-                  <AlertCircle className="w-5 h-5 text-red-500" />
-                  <span className="text-sm text-gray-600">Demand</span>
-                </div>
-                <p className="text-2xl font-bold text-gray-800">{energyData.current.demand.toLocaleString()}</p>
-                <p className="text-xs text-gray-500">MW</p>
-              </div>
-            </div>
-            <div className="mt-4 pt-4 border-t border-gray-200">
-              <div className="flex justify-between items-center">
-                <span className="text-sm font-semibold text-gray-700">Total Renewable Output</span>
-                <span className="text-xl font-bold text-green-600">{energyData.current.total.toLocaleString()} MW</span>
-              </div>
-              <div className="flex justify-between items-center mt-2">
-                <span className="text-sm font-semibold text-gray-700">Net Balance</span>
-                <span className={`text-xl font-bold ${energyData.current.total - energyData.current.demand > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                  {(energyData.current.total - energyData.current.demand > 0 ? '+' : '')}{(energyData.current.total - energyData.current.demand).toLocaleString()} MW
-                </span>
-              </div>
-            </div>
-          </div>
+        <LiveControls settings={liveSettings} onChange={setLiveSettings} lastUpdated={lastUpdated} />
 
-          <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
-            <h3 className="font-semibold text-gray-700 mb-4">24-Hour Production Forecast</h3>
-            <ResponsiveContainer width="100%" height={250}>
-              <LineChart data={energyData.hourly}>
-                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
-                <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
-                <Tooltip />
-                <Legend />
-                <Line type="monotone" dataKey="solar" stroke="#eab308" strokeWidth={2} dot={false} />
-                <Line type="monotone" dataKey="wind" stroke="#06b6d4" strokeWidth={2} dot={false} />
-                <Line type="monotone" dataKey="hydro" stroke="#3b82f6" strokeWidth={2} dot={false} />
-                <Line type="monotone" dataKey="demand" stroke="#ef4444" strokeWidth={2} dot={false} strokeDasharray="5 5" />
-              </LineChart>
-            </ResponsiveContainer>
+        {selectedRegion !== 'custom' && (
+          <div className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+            <label htmlFor="data-source">Data source:</label>
+            <select
+              id="data-source"
+              value={dataSourceSettings[selectedRegion] || 'simulator'}
+              onChange={e => setDataSourceSettings({ ...dataSourceSettings, [selectedRegion]: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+            >
+              {getRegionDataSources(selectedRegion).map(source => (
+                <option key={source.id} value={source.id}>{source.name}</option>
+              ))}
+            </select>
+            <label htmlFor="horizon" className="ml-4">Horizon:</label>
+            <select
+              id="horizon"
+              value={horizonSettings.hours}
+              onChange={e => setHorizonSettings({ ...horizonSettings, hours: Number(e.target.value) })}
+              className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+            >
+              {HORIZON_OPTIONS.map(option => (
+                <option key={option.hours} value={option.hours}>{option.label}</option>
+              ))}
+            </select>
+            <label htmlFor="resolution" className="ml-4">Resolution:</label>
+            <select
+              id="resolution"
+              value={horizonSettings.resolutionMinutes}
+              onChange={e => setHorizonSettings({ ...horizonSettings, resolutionMinutes: Number(e.target.value) })}
+              className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+            >
+              {RESOLUTION_OPTIONS.map(option => (
+                <option key={option.minutes} value={option.minutes}>{option.label}</option>
+              ))}
+            </select>
+            {energyData.sourceError && (
+              <span className="text-xs text-orange-700">{energyData.sourceError}</span>
+            )}
           </div>
+        )}
+      </div>
 
-          <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
-            <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
-              <Battery className="w-5 h-5 text-green-600" />
-              Regional Capacity
-            </h3>
-            <div className="space-y-3">
-              {Object.entries(energyData.capacity).map(([key, value]) => (
-                <div key={key} className="flex justify-between items-center">
-                  <span className="text-sm text-gray-600 capitalize">{key}</span>
-                  <span className="font-semibold text-gray-800">{value.toLocaleString()} MW</span>
-                </div>
+      {cachedAt && view === 'dashboard' && (
+        <div className="mb-6 p-3 rounded-lg border-l-4 bg-yellow-50 border-yellow-500 flex items-center gap-2">
+          <WifiOff className="w-5 h-5 text-yellow-700" />
+          <p className="text-sm text-yellow-800">
+            <span className="font-semibold">Stale:</span> showing the run cached {new Date(cachedAt).toLocaleString()}
+            {online ? ' while fresh data loads.' : '. It will refresh when the connection is back.'}
+          </p>
+        </div>
+      )}
+
+      {criticalAlerts.length > 0 && view === 'dashboard' && (
+        <div className="mb-6 p-3 rounded-lg border-l-4 bg-red-50 border-red-500 flex items-start justify-between gap-4">
+          <div className="flex items-start gap-2">
+            <AlertCircle className="w-5 h-5 mt-0.5 text-red-600" />
+            <div>
+              <p className="font-semibold text-sm text-red-800">
+                {criticalAlerts.length} critical alert{criticalAlerts.length > 1 ? 's' : ''} in this horizon
+              </p>
+              {criticalAlerts.slice(0, 3).map(rec => (
+                <p key={rec.key} className="text-sm text-gray-700 mt-1">
+                  <span className="font-medium">{rec.time}:</span> {rec.message}
+                </p>
               ))}
             </div>
           </div>
+          <button
+            onClick={() => setAlertState(criticalAlerts.reduce((state, rec) => acknowledgeAlert(state, rec), alertState))}
+            className="px-3 py-1 rounded-lg text-sm font-medium bg-white text-red-700 border border-red-200 hover:bg-red-100 whitespace-nowrap"
+          >
+            Acknowledge All
+          </button>
         </div>
+      )}
 
-        <div className="space-y-6">
-          <h2 className="text-xl font-bold text-gray-700 border-b-2 border-purple-600 pb-2">
-            Quantum Optimization Results
-          </h2>
+      {view === 'history' ? (
+        <HistoryPanel version={historyVersion} />
+      ) : view === 'multi' ? (
+        <MultiRegionPanel
+          loadRegion={loadRegionData}
+          optimize={(data, signal) => optimizeEnergyData(data, { signal, robust: { mode: 'deterministic' } })}
+        />
+      ) : view === 'settings' ? (
+        <SettingsPanel
+          settings={settings}
+          onSave={(next) => {
+            setSettings(saveSettings(next));
+            setView('dashboard');
+          }}
+          onReset={() => setSettings(resetSettings())}
+        />
+      ) : (
+        <div className="grid grid-cols-2 gap-6">
+          <div className="space-y-6">
+            <h2 className="text-xl font-bold text-gray-700 border-b-2 border-blue-600 pb-2">
+              Observed Data
+            </h2>
 
-          {isProcessing ? (
-            <div className="bg-gray-50 rounded-lg p-12 border border-gray-200 flex flex-col items-center justify-center">
-              <div className="w-16 h-16 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin mb-4"></div>
-              <p className="text-gray-600 font-medium">Processing quantum optimization...</p>
-            </div>
-          ) : quantumResults ? (
-            <>
-              <div className="bg-gradient-to-br from-purple-50 to-blue-50 rounded-lg p-5 border border-purple-200">
-                <h3 className="font-semibold text-gray-700 mb-2 flex items-center justify-between">
-                  <span>Quantum Computing Metrics</span>
-                  {quantumResults.usingRealBackend ? (
-                    <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded font-semibold">
-                      ✓ REAL QISKIT
-                    </span>
-                  ) : (
-                    <span className="text-xs bg-orange-100 text-orange-700 px-2 py-1 rounded font-semibold">
-                      ⚠ SIMULATED
-                    </span>
-                  )}
-                </h3>
-                <div className="grid grid-cols-2 gap-3 text-sm mt-4">
-                  <div>
-                    <span className="text-gray-600">Algorithm:</span>
-                    <p className="font-semibold text-gray-800">{quantumResults.metrics.optimization}</p>
-                  </div>
-                  <div>
-                    <span className="text-gray-600">Qubits Used:</span>
-                    <p className="font-semibold text-gray-800">{quantumResults.metrics.qubits}</p>
-                  </div>
-                  <div>
-                    <span className="text-gray-600">Circuit Depth:</span>
-                    <p className="font-semibold text-gray-800">{quantumResults.metrics.depth}</p>
-                  </div>
-                  <div>
-                    <span className="text-gray-600">Gate Count:</span>
-                    <p className="font-semibold text-gray-800">{quantumResults.metrics.gates}</p>
+            <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+              <h3 className="font-semibold text-gray-700 mb-2 flex items-center justify-between">
+                <span className="flex items-center gap-2">
+                  <Zap className="w-5 h-5 text-blue-600" />
+                  Current Production & Demand
+                  <span className="text-xs font-normal text-gray-500">
+                    {energyData.hourly[0].hour}
+                    {lastUpdated.data && ` · updated ${new Date(lastUpdated.data).toLocaleTimeString()}`}
+                  </span>
+                </span>
+                <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded font-semibold">
+                  {energyData.dataSource}
+                </span>
+              </h3>
+              <div className="grid grid-cols-2 gap-4 mt-4">
+                <div className="bg-white p-4 rounded-lg border border-gray-200">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Sun className="w-5 h-5 text-yellow-500" />
+                    <span className="text-sm text-gray-600">Solar</span>
                   </div>
-                  <div>
-                    <span className="text-gray-600">Execution Time:</span>
-                    <p className="font-semibold text-gray-800">{quantumResults.metrics.executionTime}s</p>
+                  <p className="text-2xl font-bold text-gray-800">{energyData.current.solar.toLocaleString()}</p>
+                  <p className="text-xs text-gray-500">MW · {energyData.sources.solar}</p>
+                </div>
+                <div className="bg-white p-4 rounded-lg border border-gray-200">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Wind className="w-5 h-5 text-cyan-500" />
+                    <span className="text-sm text-gray-600">Wind</span>
                   </div>
-                  <div>
-                    <span className="text-gray-600">Fidelity:</span>
-                    <p className="font-semibold text-gray-800">{quantumResults.metrics.fidelity}</p>
+                  <p className="text-2xl font-bold text-gray-800">{energyData.current.wind.toLocaleString()}</p>
+                  <p className="text-xs text-gray-500">MW · {energyData.sources.wind}</p>
+                </div>
+                <div className="bg-white p-4 rounded-lg border border-gray-200">
+                  <div className="flex items-center gap-2 mb-2">
+                    <Droplets className="w-5 h-5 text-blue-500" />
+                    <span className="text-sm text-gray-600">Hydro</span>
                   </div>
+                  <p className="text-2xl font-bold text-gray-800">{energyData.current.hydro.toLocaleString()}</p>
+                  <p className="text-xs text-gray-500">MW · {energyData.sources.hydro}</p>
                 </div>
-              </div>
-
-              <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
-                <h3 className="font-semibold text-gray-700 mb-4">Optimization Summary</h3>
-                <div className="grid grid-cols-2 gap-4">
+                {energyData.generation && (
                   <div className="bg-white p-4 rounded-lg border border-gray-200">
-                    <p className="text-sm text-gray-600 mb-1">Efficiency Gain</p>
-                    <p className="text-2xl font-bold text-green-600">{quantumResults.summary.totalOptimization}%</p>
+                    <div className="flex items-center gap-2 mb-2">
+                      <Atom className="w-5 h-5 text-indigo-500" />
+                      <span className="text-sm text-gray-600">Nuclear</span>
+                    </div>
+                    <p className="text-2xl font-bold text-gray-800">{energyData.current.nuclear.toLocaleString()}</p>
+                    <p className="text-xs text-gray-500">MW · must-run baseload</p>
                   </div>
+                )}
+                {energyData.generation && (
                   <div className="bg-white p-4 rounded-lg border border-gray-200">
-                    <p className="text-sm text-gray-600 mb-1">Cost Savings</p>
-                    <p className="text-2xl font-bold text-blue-600">${quantumResults.summary.costSaving.toLocaleString()}</p>
+                    <div className="flex items-center gap-2 mb-2">
+                      <Flame className="w-5 h-5 text-orange-500" />
+                      <span className="text-sm text-gray-600">Gas + Imports</span>
+                    </div>
+                    <p className="text-2xl font-bold text-gray-800">
+                      {currentDispatch ? (currentDispatch.gas + currentDispatch.imports).toLocaleString() : '—'}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      MW · of {energyData.capacity.gas.toLocaleString()} gas + {energyData.capacity.imports.toLocaleString()} import capacity
+                    </p>
                   </div>
-                  <div className="bg-white p-4 rounded-lg border border-gray-200">
-                    <p className="text-sm text-gray-600 mb-1">CO₂ Reduction</p>
-                    <p className="text-2xl font-bold text-green-600">{quantumResults.summary.carbonReduction}t</p>
+                )}
+                <div className="bg-white p-4 rounded-lg border border-gray-200">
+                  <div className="flex items-center gap-2 mb-2">
+                    <AlertCircle className="w-5 h-5 text-red-500" />
+                    <span className="text-sm text-gray-600">Demand</span>
                   </div>
-                  <div className="bg-white p-4 rounded-lg border border-gray-200">
-                    <p className="text-sm text-gray-600 mb-1">System Efficiency</p>
-                    <p className="text-2xl font-bold text-purple-600">{quantumResults.summary.efficiency}%</p>
+                  <p className="text-2xl font-bold text-gray-800">{energyData.current.demand.toLocaleString()}</p>
+                  <p className="text-xs text-gray-500">MW · {energyData.sources.demand}</p>
+                </div>
+              </div>
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <div className="flex justify-between items-center">
+                  <span className="text-sm font-semibold text-gray-700">Total Renewable Output</span>
+                  <span className="text-xl font-bold text-green-600">{energyData.current.total.toLocaleString()} MW</span>
+                </div>
+                <div className="flex justify-between items-center mt-2">
+                  <span className="text-sm font-semibold text-gray-700">{currentSurplus >= 0 ? 'Surplus' : 'Residual Demand'}</span>
+                  <span className={`text-xl font-bold ${currentSurplus >= 0 ? 'text-green-600' : 'text-orange-600'}`}>
+                    {Math.abs(currentSurplus).toLocaleString()} MW
+                  </span>
+                </div>
+                {currentDispatch && (
+                  <p className="text-xs text-gray-500 mt-1 text-right">
+                    {currentSurplus >= 0
+                      ? `battery ${currentDispatch.action === 'Charge' ? currentDispatch.amount.toLocaleString() : 0} MW · exports ${currentDispatch.exports.toLocaleString()} MW · curtailed ${currentDispatch.curtailed.toLocaleString()} MW`
+                      : `battery ${currentDispatch.action === 'Discharge' ? currentDispatch.amount.toLocaleString() : 0} MW · gas ${currentDispatch.gas.toLocaleString()} MW · imports ${currentDispatch.imports.toLocaleString()} MW`}
+                    {currentDispatch.unserved > 0 && ` · unserved ${currentDispatch.unserved.toLocaleString()} MW`}
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-5 border border-gray-200" data-report-chart={forecastTitle}>
+              <h3 className="font-semibold text-gray-700 mb-4 flex items-center justify-between">
+                <span>{forecastTitle}</span>
+                <span className="flex items-center gap-3 text-xs font-normal text-gray-600">
+                  <select
+                    value={forecastView}
+                    onChange={e => setForecastView(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+                  >
+                    <option value="mix">Supply mix (stacked)</option>
+                    <option value="series">Series</option>
+                  </select>
+                  <label className="flex items-center gap-1">
+                    <input type="checkbox" checked={showBands} onChange={e => setShowBands(e.target.checked)} />
+                    P10–P90 bands
+                  </label>
+                </span>
+              </h3>
+              <ResponsiveContainer width="100%" height={250}>
+                <ComposedChart data={forecastData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
+                  <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
+                  <Tooltip formatter={value => (Array.isArray(value) ? `${value[0].toLocaleString()}–${value[1].toLocaleString()}` : value)} />
+                  <Legend />
+                  {showBands && forecastView === 'series' && (
+                    <Area type="monotone" dataKey="solarBand" name="solar P10–P90" stroke="none" fill="#eab308" fillOpacity={0.15} />
+                  )}
+                  {showBands && forecastView === 'series' && (
+                    <Area type="monotone" dataKey="windBand" name="wind P10–P90" stroke="none" fill="#06b6d4" fillOpacity={0.15} />
+                  )}
+                  {showBands && (
+                    <Area type="monotone" dataKey="demandBand" name="demand P10–P90" stroke="none" fill="#ef4444" fillOpacity={0.1} />
+                  )}
+                  {forecastView === 'mix' && energyData.generation && (
+                    <Area type="monotone" dataKey="nuclear" name="nuclear (must-run)" stackId="supply" stroke="#6366f1" fill="#6366f1" fillOpacity={0.6} />
+                  )}
+                  {forecastView === 'mix' && (
+                    <Area type="monotone" dataKey="hydro" name={`hydro (${energyData.sources.hydro})`} stackId="supply" stroke="#3b82f6" fill="#3b82f6" fillOpacity={0.6} />
+                  )}
+                  {forecastView === 'mix' && (
+                    <Area type="monotone" dataKey="wind" name={`wind (${energyData.sources.wind})`} stackId="supply" stroke="#06b6d4" fill="#06b6d4" fillOpacity={0.6} />
+                  )}
+                  {forecastView === 'mix' && (
+                    <Area type="monotone" dataKey="solar" name={`solar (${energyData.sources.solar})`} stackId="supply" stroke="#eab308" fill="#eab308" fillOpacity={0.6} />
+                  )}
+                  {forecastView === 'series' && (
+                    <Line type="monotone" dataKey="solar" name={`solar (${energyData.sources.solar})`} stroke="#eab308" strokeWidth={2} dot={false} />
+                  )}
+                  {forecastView === 'series' && (
+                    <Line type="monotone" dataKey="wind" name={`wind (${energyData.sources.wind})`} stroke="#06b6d4" strokeWidth={2} dot={false} />
+                  )}
+                  {forecastView === 'series' && (
+                    <Line type="monotone" dataKey="hydro" name={`hydro (${energyData.sources.hydro})`} stroke="#3b82f6" strokeWidth={2} dot={false} />
+                  )}
+                  <Line type="monotone" dataKey="demand" name={`demand (${energyData.sources.demand})`} stroke="#ef4444" strokeWidth={2} dot={false} strokeDasharray="5 5" />
+                  {scenarioData && forecastView === 'series' && (
+                    <Line type="monotone" dataKey="scenarioSolar" name="solar (scenario)" stroke="#eab308" strokeOpacity={0.5} strokeWidth={2} dot={false} strokeDasharray="2 3" />
+                  )}
+                  {scenarioData && forecastView === 'series' && (
+                    <Line type="monotone" dataKey="scenarioWind" name="wind (scenario)" stroke="#06b6d4" strokeOpacity={0.5} strokeWidth={2} dot={false} strokeDasharray="2 3" />
+                  )}
+                  {scenarioData && (
+                    <Line type="monotone" dataKey="scenarioDemand" name="demand (scenario)" stroke="#ef4444" strokeOpacity={0.5} strokeWidth={2} dot={false} strokeDasharray="2 3" />
+                  )}
+                  {forecastData.length > BRUSH_THRESHOLD && (
+                    <Brush dataKey="hour" height={20} stroke="#3b82f6" />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            <UncertaintyPanel
+              energyData={energyData}
+              quantumResults={quantumResults}
+              settings={robustSettings}
+              isRunning={isProcessing}
+              onApply={applyRobustSettings}
+            />
+
+            <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+              <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
+                <Battery className="w-5 h-5 text-green-600" />
+                Regional Capacity
+              </h3>
+              <div className="space-y-3">
+                {Object.entries(energyData.capacity).map(([key, value]) => (
+                  <div key={key} className="flex justify-between items-center">
+                    <span className="text-sm text-gray-600 capitalize">{key}</span>
+                    <span className="font-semibold text-gray-800">{value.toLocaleString()} MW</span>
                   </div>
+                ))}
+                <div className="flex justify-between items-center">
+                  <span className="text-sm text-gray-600">Battery Storage</span>
+                  <span className="font-semibold text-gray-800">{energyData.battery.capacityMWh.toLocaleString()} MWh</span>
                 </div>
               </div>
+            </div>
+
+            <PricingPanel
+              key={selectedRegion}
+              regionId={selectedRegion}
+              energyData={energyData}
+              model={priceSettings[selectedRegion]}
+              onChange={model => setPriceSettings({ ...priceSettings, [selectedRegion]: model })}
+            />
+
+            <BatteryEditor
+              params={energyData.battery}
+              defaults={defaultBatteryParams(Math.round(energyData.baseLoad * 0.1))}
+              onApply={applyBatteryParams}
+            />
+
+            <ScenarioEditor
+              key={energyData.region}
+              regionId={selectedRegion}
+              energyData={energyData}
+              scenarioResults={scenarioResults}
+              isRunning={Boolean(scenarioRun && !scenarioResults && !scenarioRun.error)}
+              error={scenarioRun && scenarioRun.error}
+              onRun={runScenario}
+              onClear={clearScenario}
+            />
+
+            <ProfileImport
+              onImport={(profile) => {
+                setBatterySettings({ ...batterySettings, custom: undefined });
+                setImportedProfile(profile);
+                setSelectedRegion('custom');
+              }}
+            />
+          </div>
 
-              <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
-                <h3 className="font-semibold text-gray-700 mb-4">Optimal Battery Schedule (Next 8h)</h3>
-                <ResponsiveContainer width="100%" height={200}>
-                  <BarChart data={quantumResults.schedule.slice(0, 8)}>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
-                    <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
-                    <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
-                    <Tooltip />
-                    <Bar dataKey="amount" fill="#8b5cf6" />
-                  </BarChart>
-                </ResponsiveContainer>
-                <div className="mt-4 space-y-2 max-h-48 overflow-y-auto">
-                  {quantumResults.schedule.slice(0, 8).map((item, idx) => (
-                    <div key={idx} className="flex justify-between items-center text-sm bg-white p-2 rounded border border-gray-200">
-                      <span className="font-medium text-gray-700">{item.hour}</span>
-                      <span className={`px-2 py-1 rounded ${item.action === 'Charge' ? 'bg-green-100 text-green-700' : 'bg-orange-100 text-orange-700'}`}>
-                        {item.action} {item.amount} MW
+          <div className="space-y-6">
+            <h2 className="text-xl font-bold text-gray-700 border-b-2 border-purple-600 pb-2">
+              Quantum Optimization Results
+            </h2>
+
+            <SolverPanel settings={solverSettings} isRunning={isProcessing} onApply={applySolverSettings} />
+
+            {optimizationError && !isProcessing && (
+              <div className="p-3 rounded-lg border-l-4 bg-red-50 border-red-500 flex items-center justify-between gap-4">
+                <span className="flex items-center gap-2 text-sm text-red-800">
+                  <AlertCircle className="w-5 h-5 text-red-600" />
+                  Optimization failed: {optimizationError}
+                </span>
+                <button
+                  onClick={() => runQuantumOptimization(energyData)}
+                  className="text-xs bg-white text-red-700 px-2 py-1 rounded font-semibold border border-red-200 hover:bg-red-50"
+                >
+                  Run Again
+                </button>
+              </div>
+            )}
+
+            {isProcessing ? (
+              <JobProgress job={jobProgress} onCancel={stopOptimization} />
+            ) : quantumResults ? (
+              <>
+                <div className="bg-gradient-to-br from-purple-50 to-blue-50 rounded-lg p-5 border border-purple-200">
+                  <h3 className="font-semibold text-gray-700 mb-2 flex items-center justify-between">
+                    <span>Quantum Computing Metrics</span>
+                    {quantumResults.usingRealBackend ? (
+                      <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded font-semibold">
+                        ✓ REAL QISKIT
+                      </span>
+                    ) : (
+                      <span className="flex items-center gap-2">
+                        {canRetryBackend && (
+                          <button
+                            onClick={() => runQuantumOptimization(energyData)}
+                            className="text-xs bg-white text-purple-700 px-2 py-1 rounded font-semibold border border-purple-200 hover:bg-purple-50"
+                          >
+                            ↻ Retry with real backend
+                          </button>
+                        )}
+                        <span className="text-xs bg-orange-100 text-orange-700 px-2 py-1 rounded font-semibold">
+                          ⚠ SIMULATED
+                        </span>
                       </span>
-                      <span className="text-gray-600">{item.efficiency}% eff</span>
+                    )}
+                  </h3>
+                  <div className="grid grid-cols-2 gap-3 text-sm mt-4">
+                    <div>
+                      <span className="text-gray-600">Algorithm:</span>
+                      <p className="font-semibold text-gray-800">{quantumResults.metrics.optimization}</p>
                     </div>
-                  ))}
+                    <div>
+                      <span className="text-gray-600">Qubits Used:</span>
+                      <p className="font-semibold text-gray-800">{quantumResults.metrics.qubits}</p>
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Circuit Depth:</span>
+                      <p className="font-semibold text-gray-800">{quantumResults.metrics.depth}</p>
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Gate Count:</span>
+                      <p className="font-semibold text-gray-800">{quantumResults.metrics.gates}</p>
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Execution Time:</span>
+                      <p className="font-semibold text-gray-800">{quantumResults.metrics.executionTime}s</p>
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Fidelity:</span>
+                      <p className="font-semibold text-gray-800">{quantumResults.metrics.fidelity}</p>
+                    </div>
+                    {quantumResults.solver && (
+                      <div className="col-span-2">
+                        <span className="text-gray-600">Requested Solver:</span>
+                        <p className="font-semibold text-gray-800">{describeSolver(quantumResults.solver)}</p>
+                      </div>
+                    )}
+                  </div>
                 </div>
-              </div>
 
-              <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
-                <h3 className="font-semibold text-gray-700 mb-4">System Recommendations</h3>
-                <div className="space-y-3">
-                  {quantumResults.recommendations.map((rec, idx) => (
-                    <div key={idx} className={`p-3 rounded-lg border-l-4 ${
-                      rec.type === 'excess' ? 'bg-green-50 border-green-500' : 'bg-orange-50 border-orange-500'
-                    }`}>
-                      <div className="flex items-start gap-2">
-                        <AlertCircle className={`w-5 h-5 mt-0.5 ${rec.type === 'excess' ? 'text-green-600' : 'text-orange-600'}`} />
-                        <div>
-                          <p className="font-medium text-sm text-gray-800">{rec.time}</p>
-                          <p className="text-sm text-gray-700 mt-1">{rec.message}</p>
+                <QuantumInspector energyData={energyData} quantumResults={quantumResults} />
+
+                <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+                  <h3 className="font-semibold text-gray-700 mb-4">Optimization Summary</h3>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="bg-white p-4 rounded-lg border border-gray-200">
+                      <p className="text-sm text-gray-600 mb-1">Efficiency Gain</p>
+                      <p className="text-2xl font-bold text-green-600">{quantumResults.summary.totalOptimization}%</p>
+                    </div>
+                    <div className="bg-white p-4 rounded-lg border border-gray-200">
+                      <p className="text-sm text-gray-600 mb-1">Cost Savings</p>
+                      <p className="text-2xl font-bold text-blue-600">${quantumResults.summary.costSaving.toLocaleString()}</p>
+                    </div>
+                    <div className="bg-white p-4 rounded-lg border border-gray-200">
+                      <p className="text-sm text-gray-600 mb-1">CO₂ Reduction</p>
+                      <p className="text-2xl font-bold text-green-600">{quantumResults.summary.carbonReduction}t</p>
+                    </div>
+                    <div className="bg-white p-4 rounded-lg border border-gray-200">
+                      <p className="text-sm text-gray-600 mb-1">System Efficiency</p>
+                      <p className="text-2xl font-bold text-purple-600">{quantumResults.summary.efficiency}%</p>
+                    </div>
+                  </div>
+                  {quantumResults.summary.baselineCost != null && (
+                    <details className="text-xs text-gray-600 mt-3">
+                      <summary className="cursor-pointer font-semibold text-gray-700">How these numbers are derived</summary>
+                      <div className="mt-2 space-y-1">
+                        <p>
+                          Both figures compare grid imports with this schedule against the same {horizonLabel(energyData).toLowerCase()} series
+                          with no storage, slot by slot. Exports are not credited.
+                        </p>
+                        <p>
+                          Cost: Σ import (MWh) × price ($/MWh) from {energyData.pricing.tariff} —
+                          baseline ${quantumResults.summary.baselineCost.toLocaleString()}, with storage ${quantumResults.summary.optimizedCost.toLocaleString()}.
+                        </p>
+                        <p>
+                          CO₂: Σ import (MWh) × marginal intensity (tCO₂/MWh) from {energyData.pricing.carbon} —
+                          baseline {quantumResults.summary.baselineEmissions.toLocaleString()}t, with storage {quantumResults.summary.optimizedEmissions.toLocaleString()}t.
+                        </p>
+                        <p>
+                          Efficiency gain is the share of baseline import energy avoided; it can be negative when the battery
+                          buys cheap energy to cover expensive hours, since round-trip losses add to total imports.
+                        </p>
+                      </div>
+                    </details>
+                  )}
+                  {quantumResults.summary.gasAvoidedMWh != null && (
+                    <div className="mt-4">
+                      <p className="text-sm font-semibold text-gray-700 mb-2">Fossil Dispatch Avoided</p>
+                      <div className="grid grid-cols-3 gap-4">
+                        <div className="bg-white p-3 rounded-lg border border-gray-200">
+                          <p className="text-xs text-gray-600 mb-1">Gas</p>
+                          <p className="text-lg font-bold text-orange-600">{quantumResults.summary.gasAvoidedMWh.toLocaleString()} MWh</p>
+                          <p className="text-xs text-gray-500">
+                            ${quantumResults.summary.gasCostAvoided.toLocaleString()} · {quantumResults.summary.gasEmissionsAvoided.toLocaleString()}t CO₂
+                          </p>
+                        </div>
+                        <div className="bg-white p-3 rounded-lg border border-gray-200">
+                          <p className="text-xs text-gray-600 mb-1">Imports</p>
+                          <p className="text-lg font-bold text-slate-600">{quantumResults.summary.importsAvoidedMWh.toLocaleString()} MWh</p>
+                        </div>
+                        <div className="bg-white p-3 rounded-lg border border-gray-200">
+                          <p className="text-xs text-gray-600 mb-1">Curtailment</p>
+                          <p className="text-lg font-bold text-green-600">{quantumResults.summary.curtailmentAvoidedMWh.toLocaleString()} MWh</p>
+                          <p className="text-xs text-gray-500">{quantumResults.summary.curtailedMWh.toLocaleString()} MWh still curtailed</p>
                         </div>
                       </div>
+                      <p className="text-xs text-gray-500 mt-2">
+                        Gas {quantumResults.summary.baselineGasMWh.toLocaleString()} MWh without storage,
+                        {' '}{quantumResults.summary.optimizedGasMWh.toLocaleString()} MWh with this schedule.
+                      </p>
                     </div>
-                  ))}
+                  )}
+                  {scenarioResults && (
+                    <p className="text-xs text-gray-600 mt-3">
+                      <span className="font-semibold">{scenarioRun.scenario.name || 'Scenario'}:</span>{' '}
+                      gain {scenarioResults.summary.totalOptimization}% · savings ${scenarioResults.summary.costSaving.toLocaleString()} ·
+                      CO₂ {scenarioResults.summary.carbonReduction}t · efficiency {scenarioResults.summary.efficiency}%
+                    </p>
+                  )}
+                </div>
+
+                <div className="bg-gray-50 rounded-lg p-5 border border-gray-200" data-report-chart={`Optimal Battery Schedule (${horizonLabel(energyData)})`}>
+                  <h3 className="font-semibold text-gray-700 mb-4">Optimal Battery Schedule ({horizonLabel(energyData)})</h3>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <ComposedChart data={scheduleData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                      <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
+                      <YAxis yAxisId="power" tick={{fontSize: 11}} stroke="#6b7280" />
+                      <YAxis yAxisId="soc" orientation="right" tick={{fontSize: 11}} stroke="#16a34a" />
+                      <Tooltip />
+                      <Legend />
+                      <Bar yAxisId="power" dataKey="amount" name="Power (MW)" fill="#8b5cf6" />
+                      <Line yAxisId="soc" type="monotone" dataKey="stateOfCharge" name="State of Charge (MWh)" stroke="#16a34a" strokeWidth={2} dot={false} />
+                      {scenarioResults && (
+                        <Bar yAxisId="power" dataKey="scenarioAmount" name="Scenario Power (MW)" fill="#f97316" fillOpacity={0.6} />
+                      )}
+                      {scenarioResults && (
+                        <Line yAxisId="soc" type="monotone" dataKey="scenarioSoC" name="Scenario SoC (MWh)" stroke="#f97316" strokeWidth={2} dot={false} strokeDasharray="5 5" />
+                      )}
+                      {scheduleData.length > BRUSH_THRESHOLD && (
+                        <Brush dataKey="hour" height={20} stroke="#8b5cf6" />
+                      )}
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                  <div className="mt-4 space-y-2 max-h-48 overflow-y-auto">
+                    {quantumResults.schedule.map((item, idx) => (
+                      <div key={idx} className="flex justify-between items-center text-sm bg-white p-2 rounded border border-gray-200">
+                        <span className="font-medium text-gray-700 flex items-center gap-1">
+                          {item.hour}
+                          {item.pinned && (
+                            <span title="Already under way; kept from the previous plan">
+                              <Lock className="w-3 h-3 text-gray-400" />
+                            </span>
+                          )}
+                        </span>
+                        <span className={`px-2 py-1 rounded ${
+                          item.action === 'Charge' ? 'bg-green-100 text-green-700'
+                            : item.action === 'Discharge' ? 'bg-orange-100 text-orange-700'
+                            : 'bg-gray-100 text-gray-600'
+                        }`}>
+                          {item.action === 'Idle' ? 'Idle' : `${item.action} ${item.amount} MW`}
+                        </span>
+                        <span className="text-gray-600">{item.stateOfCharge.toLocaleString()} MWh</span>
+                        <span className="text-gray-600">{item.efficiency != null ? `${item.efficiency}% eff` : '—'}</span>
+                        {item.fossilAvoided != null && (
+                          <span className={item.fossilAvoided > 0 ? 'text-green-600' : item.fossilAvoided < 0 ? 'text-orange-600' : 'text-gray-400'}>
+                            {item.fossilAvoided === 0 ? '— gas' : `${item.fossilAvoided > 0 ? '−' : '+'}${Math.abs(item.fossilAvoided).toLocaleString()} MW gas`}
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 </div>
+
+                <SupplyMixChart
+                  energyData={energyData}
+                  quantumResults={quantumResults}
+                  brush={quantumResults.schedule.length > BRUSH_THRESHOLD}
+                />
+
+                <RecommendationsPanel
+                  recommendations={quantumResults.recommendations}
+                  alertState={alertState}
+                  onAlertStateChange={setAlertState}
+                  rules={rules}
+                  onRulesChange={applyRules}
+                />
+
+                <ExportPanel energyData={energyData} quantumResults={quantumResults} />
+              </>
+            ) : jobProgress && jobProgress.status === 'cancelled' ? (
+              <div className="bg-gray-50 rounded-lg p-12 border border-gray-200 flex flex-col items-center justify-center">
+                <p className="text-gray-600 font-medium">Optimization cancelled.</p>
+                <button
+                  onClick={() => runQuantumOptimization(energyData)}
+                  className="mt-4 px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  Run Again
+                </button>
               </div>
-            </>
-          ) : null}
+            ) : null}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,68 @@
+// Minimal OpenQASM 2/3 reader for drawing the circuits the backend returns.
+// Only what a diagram needs: register sizes and gates with their operands.
+
+const REGISTER = /^(?:qreg\s+(\w+)\s*\[(\d+)\]|qubit\s*\[(\d+)\]\s*(\w+))\s*;?$/;
+const OPERAND = /(\w+)\s*\[(\d+)\]/g;
+
+export const parseQasm = (text) => {
+  const registers = new Map();
+  let qubits = 0;
+  const gates = [];
+
+  String(text || '')
+    .replace(/\/\/.*$/gm, '')
+    .split(';')
+    .map(stmt => stmt.trim())
+    .filter(Boolean)
+    .forEach((stmt) => {
+      if (/^(OPENQASM|include|creg|bit\b|gate\b)/.test(stmt)) return;
+      const reg = stmt.match(REGISTER);
+      if (reg) {
+        const name = reg[1] || reg[4];
+        const size = Number(reg[2] || reg[3]);
+        registers.set(name, { start: qubits, size });
+        qubits += size;
+        return;
+      }
+
+      // `c[0] = measure q[0]` (QASM 3) or `measure q[0] -> c[0]` (QASM 2).
+      const measure3 = stmt.match(/^\w+\s*\[\d+\]\s*=\s*measure\s+(.*)$/);
+      const body = measure3 ? `measure ${measure3[1]}` : stmt.split('->')[0];
+      const m = body.match(/^([a-z_][\w]*)\s*(?:\(([^)]*)\))?\s*(.*)$/i);
+      if (!m) return;
+      const operands = [...m[3].matchAll(OPERAND)]
+        .filter(op => registers.has(op[1]))
+        .map(op => registers.get(op[1]).start + Number(op[2]));
+      const whole = m[3].trim().match(/^(\w+)$/);
+      if (!operands.length && whole && registers.has(whole[1])) {
+        // Gate applied to a whole register, e.g. `h q;`.
+        const { start, size } = registers.get(whole[1]);
+        const all = Array.from({ length: size }, (_, i) => start + i);
+        if (m[1].toLowerCase() === 'barrier') {
+          gates.push({ name: 'barrier', params: '', qubits: all });
+        } else {
+          all.forEach(q => gates.push({ name: m[1].toLowerCase(), params: m[2] || '', qubits: [q] }));
+        }
+        return;
+      }
+      if (!operands.length) return;
+      gates.push({ name: m[1].toLowerCase(), params: m[2] || '', qubits: operands });
+    });
+
+  return { qubits, gates };
+};
+
+// Greedy ASAP layering: each gate sits in the first column after every
+// qubit it spans (including the wires in between) is free.
+export const layoutCircuit = (circuit) => {
+  const frontier = new Array(circuit.qubits).fill(0);
+  const placed = circuit.gates.map((gate) => {
+    const lo = Math.min(...gate.qubits);
+    const hi = Math.max(...gate.qubits);
+    let column = 0;
+    for (let q = lo; q <= hi; q++) column = Math.max(column, frontier[q]);
+    for (let q = lo; q <= hi; q++) frontier[q] = column + 1;
+    return { ...gate, column };
+  });
+  return { ...circuit, gates: placed, depth: Math.max(0, ...frontier) };
+};
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { Battery } from 'lucide-react';
+
+const fields = [
+  { key: 'capacityMWh', label: 'Energy Capacity', unit: 'MWh' },
+  { key: 'powerMW', label: 'Power Rating', unit: 'MW' },
+  { key: 'initialSoC', label: 'Initial SoC', unit: '%', percent: true },
+  { key: 'minSoC', label: 'Min SoC', unit: '%', percent: true },
+  { key: 'maxSoC', label: 'Max SoC', unit: '%', percent: true },
+  { key: 'roundTripEfficiency', label: 'Round-trip Efficiency', unit: '%', percent: true }
+];
+
+const toDraft = (params) => Object.fromEntries(
+  fields.map(f => [f.key, String(f.percent ? Math.round(params[f.key] * 100) : params[f.key])])
+);
+
+const fromDraft = (draft) => Object.fromEntries(
+  fields.map(f => [f.key, f.percent ? Number(draft[f.key]) / 100 : Number(draft[f.key])])
+);
+
+export const validateBatteryParams = (params) => {
+  const errors = [];
+  if (!(params.capacityMWh > 0)) errors.push('Energy capacity must be greater than 0 MWh.');
+  if (!(params.powerMW > 0)) errors.push('Power rating must be greater than 0 MW.');
+  if (!(params.roundTripEfficiency > 0 && params.roundTripEfficiency <= 1)) {
+    errors.push('Round-trip efficiency must be between 1% and 100%.');
+  }
+  if (!(params.minSoC >= 0 && params.maxSoC <= 1 && params.minSoC < params.maxSoC)) {
+    errors.push('SoC limits must satisfy 0% ≤ min < max ≤ 100%.');
+  } else if (!(params.initialSoC >= params.minSoC && params.initialSoC <= params.maxSoC)) {
+    errors.push('Initial SoC must lie between the min and max SoC.');
+  }
+  return errors;
+};
+
+const BatteryEditor = ({ params, defaults, onApply }) => {
+  const [draft, setDraft] = useState(toDraft(params));
+
+  useEffect(() => {
+    setDraft(toDraft(params));
+  }, [params]);
+
+  const parsed = fromDraft(draft);
+  const errors = validateBatteryParams(parsed);
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
+        <Battery className="w-5 h-5 text-green-600" />
+        Battery Storage Model
+      </h3>
+      <div className="grid grid-cols-2 gap-3">
+        {fields.map(f => (
+          <label key={f.key} className="text-sm text-gray-600">
+            {f.label} ({f.unit})
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft[f.key]}
+              onChange={e => setDraft({ ...draft, [f.key]: e.target.value })}
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+            />
+          </label>
+        ))}
+      </div>
+      {errors.length > 0 && (
+        <ul className="mt-3 text-xs text-red-600 space-y-1">
+          {errors.map(err => <li key={err}>{err}</li>)}
+        </ul>
+      )}
+      <div className="mt-4 flex gap-2">
+        <button
+          onClick={() => onApply(parsed)}
+          disabled={errors.length > 0}
+          className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+        >
+          Apply & Reoptimize
+        </button>
+        <button
+          onClick={() => onApply(defaults)}
+          className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BatteryEditor;
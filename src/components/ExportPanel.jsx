@@ -0,0 +1,58 @@
+import React from 'react';
+import { Download, Printer } from 'lucide-react';
+import { buildRunExport, scheduleToCsv, buildReportHtml, downloadFile, exportFileName } from '../exportRun';
+
+// Charts opt in to the printable report with a `data-report-chart` title.
+const captureCharts = () => Array.from(document.querySelectorAll('[data-report-chart]'))
+  .map(el => ({ title: el.getAttribute('data-report-chart'), svg: el.querySelector('svg.recharts-surface') }))
+  .filter(chart => chart.svg)
+  .map(chart => ({ title: chart.title, svg: chart.svg.outerHTML }));
+
+const ExportPanel = ({ energyData, quantumResults }) => {
+  const exportJson = () => {
+    const run = buildRunExport(energyData, quantumResults);
+    downloadFile(JSON.stringify(run, null, 2), exportFileName(run, 'json'), 'application/json');
+  };
+
+  const exportCsv = () => {
+    const run = buildRunExport(energyData, quantumResults);
+    downloadFile(scheduleToCsv(run), exportFileName(run, 'csv'), 'text/csv');
+  };
+
+  const printReport = () => {
+    const report = window.open('', '_blank');
+    if (!report) return;
+    report.document.write(buildReportHtml(buildRunExport(energyData, quantumResults), captureCharts()));
+    report.document.close();
+    report.focus();
+    report.print();
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
+        <Download className="w-5 h-5 text-blue-600" />
+        Export Run
+      </h3>
+      <div className="flex gap-2 flex-wrap">
+        <button onClick={exportJson} className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200">
+          JSON
+        </button>
+        <button onClick={exportCsv} className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200">
+          Schedule CSV
+        </button>
+        <button onClick={printReport} className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 flex items-center gap-2">
+          <Printer className="w-4 h-4" />
+          Printable Report
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Includes input data, schedule, recommendations, metrics and summary, tagged as
+        {quantumResults.usingRealBackend ? ' real Qiskit backend' : ' fallback mode'}
+        {energyData.usingRealSolarData ? ' with NREL solar data.' : ' with simulated solar.'}
+      </p>
+    </div>
+  );
+};
+
+export default ExportPanel;
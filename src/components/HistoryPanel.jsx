@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { History, Trash2 } from 'lucide-react';
+import { listRuns, getRun, deleteRun, clearRuns, compareRuns, MAX_RUNS_PER_REGION } from '../runHistory';
+import { describeSolver } from '../solver';
+
+const formatValue = (value, unit) => {
+  if (value === undefined || value === null || Number.isNaN(value)) return '—';
+  return unit === '$' ? `$${value.toLocaleString()}` : `${value.toLocaleString()}${unit}`;
+};
+
+const runLabel = (run) => `#${run.id} · ${run.region} · ${new Date(run.timestamp).toLocaleString()}`;
+
+const RunComparison = ({ a, b }) => {
+  const { schedule, summary, recommendations } = compareRuns(a, b);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+        <h3 className="font-semibold text-gray-700 mb-4">Summary</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600">
+              <th>Metric</th>
+              <th>A · {a.backend}</th>
+              <th>B · {b.backend}</th>
+              <th>Δ (B − A)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.map(row => (
+              <tr key={row.key} className="border-t border-gray-200">
+                <td className="py-1 text-gray-700">{row.label}</td>
+                <td>{formatValue(row.a, row.unit)}</td>
+                <td>{formatValue(row.b, row.unit)}</td>
+                <td className={row.delta > 0 ? 'text-green-600' : row.delta < 0 ? 'text-red-600' : 'text-gray-600'}>
+                  {row.delta > 0 ? '+' : ''}{formatValue(row.delta, row.unit)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6">
+        <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+          <h3 className="font-semibold text-gray-700 mb-4">Battery Power (MW, + charge / − discharge)</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={schedule}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
+              <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
+              <Tooltip />
+              <Legend />
+              <Line type="stepAfter" dataKey="powerA" name="Run A" stroke="#8b5cf6" strokeWidth={2} dot={false} />
+              <Line type="stepAfter" dataKey="powerB" name="Run B" stroke="#f97316" strokeWidth={2} dot={false} strokeDasharray="5 5" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+          <h3 className="font-semibold text-gray-700 mb-4">State of Charge (MWh)</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={schedule}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
+              <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="socA" name="Run A" stroke="#8b5cf6" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="socB" name="Run B" stroke="#f97316" strokeWidth={2} dot={false} strokeDasharray="5 5" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+        <h3 className="font-semibold text-gray-700 mb-4">Recommendation Changes</h3>
+        {!recommendations.added.length && !recommendations.removed.length && !recommendations.changed.length && (
+          <p className="text-sm text-gray-600">No differences.</p>
+        )}
+        <div className="space-y-2 text-sm">
+          {recommendations.added.map((rec, idx) => (
+            <div key={`added-${idx}`} className="p-2 rounded border-l-4 bg-green-50 border-green-500">
+              <span className="font-medium">Only in B · {rec.time}:</span> {rec.message}
+            </div>
+          ))}
+          {recommendations.removed.map((rec, idx) => (
+            <div key={`removed-${idx}`} className="p-2 rounded border-l-4 bg-red-50 border-red-500">
+              <span className="font-medium">Only in A · {rec.time}:</span> {rec.message}
+            </div>
+          ))}
+          {recommendations.changed.map(({ before, after }, idx) => (
+            <div key={`changed-${idx}`} className="p-2 rounded border-l-4 bg-orange-50 border-orange-500">
+              <p className="font-medium">Changed · {after.time}</p>
+              <p className="text-gray-600">A: {before.message}</p>
+              <p className="text-gray-800">B: {after.message}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const HistoryPanel = ({ version }) => {
+  const [runs, setRuns] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState(null);
+  const [compared, setCompared] = useState([]);
+
+  const refresh = async () => {
+    try {
+      setRuns(await listRuns());
+      setError(null);
+    } catch (err) {
+      console.error('❌ Run history error:', err);
+      setError('Run history is unavailable in this browser.');
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, [version]);
+
+  const toggle = (id) => {
+    if (selected.includes(id)) {
+      setSelected(selected.filter(s => s !== id));
+    } else {
+      setSelected([...selected, id].slice(-2));
+    }
+  };
+
+  const remove = async (id) => {
+    try {
+      await deleteRun(id);
+      setSelected(selected.filter(s => s !== id));
+    } catch (err) {
+      console.error('❌ Run history error:', err);
+      setError('Could not delete the run.');
+      return;
+    }
+    refresh();
+  };
+
+  const clearAll = async () => {
+    try {
+      await clearRuns();
+      setSelected([]);
+    } catch (err) {
+      console.error('❌ Run history error:', err);
+      setError('Could not clear the run history.');
+      return;
+    }
+    refresh();
+  };
+
+  // The list only holds summaries; the two selected runs are loaded in full.
+  // Older run is always A so deltas read as "what changed since".
+  useEffect(() => {
+    if (selected.length !== 2) {
+      setCompared([]);
+      return undefined;
+    }
+    let active = true;
+    Promise.all(selected.map(getRun))
+      .then((found) => {
+        if (active) setCompared(found.filter(Boolean).sort((x, y) => x.timestamp.localeCompare(y.timestamp)));
+      })
+      .catch((err) => {
+        console.error('❌ Run history error:', err);
+        if (active) setError('Could not load the selected runs.');
+      });
+    return () => {
+      active = false;
+    };
+  }, [selected]);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+        <h3 className="font-semibold text-gray-700 mb-4 flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <History className="w-5 h-5 text-blue-600" />
+            Run History
+          </span>
+          {runs.length > 0 && (
+            <button onClick={clearAll} className="text-xs text-red-600 hover:underline">Clear all</button>
+          )}
+        </h3>
+        {error && <p className="text-sm text-orange-700">{error}</p>}
+        {!error && runs.length === 0 && <p className="text-sm text-gray-600">No runs recorded yet.</p>}
+        <p className="text-xs text-gray-500 mb-2">Select two runs to compare. The last {MAX_RUNS_PER_REGION} runs per region are kept.</p>
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+          {runs.map(run => (
+            <div key={run.id} className="flex items-center justify-between text-sm bg-white p-2 rounded border border-gray-200">
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={selected.includes(run.id)} onChange={() => toggle(run.id)} />
+                <span className="text-gray-700">{runLabel(run)}</span>
+              </label>
+              <span className="flex items-center gap-3">
+                <span
+                  title={run.solver ? `Requested: ${describeSolver(run.solver)}` : undefined}
+                  className={`text-xs px-2 py-1 rounded font-semibold ${
+                    run.backend === 'qiskit' ? 'bg-green-100 text-green-700' : 'bg-orange-100 text-orange-700'
+                  }`}
+                >
+                  {run.algorithm}
+                </span>
+                <button onClick={() => remove(run.id)} className="text-gray-400 hover:text-red-600" title="Delete run">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {compared.length === 2 && (
+        <>
+          <div className="text-sm text-gray-600">
+            <p><span className="font-semibold">A:</span> {runLabel(compared[0])}</p>
+            <p><span className="font-semibold">B:</span> {runLabel(compared[1])}</p>
+          </div>
+          <RunComparison a={compared[0]} b={compared[1]} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
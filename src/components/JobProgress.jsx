@@ -0,0 +1,45 @@
+import React from 'react';
+import { JOB_STATUS_LABELS } from '../optimizeClient';
+
+const JobProgress = ({ job, onCancel }) => {
+  const hasIterations = job && job.maxIterations > 0 && job.iteration != null;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-12 border border-gray-200 flex flex-col items-center justify-center">
+      <div className="w-16 h-16 border-4 border-purple-200 border-t-purple-600 rounded-full animate-spin mb-4"></div>
+      <p className="text-gray-600 font-medium">Processing quantum optimization...</p>
+      {job && (
+        <div className="w-full max-w-sm mt-4 text-sm text-gray-600">
+          <div className="flex justify-between">
+            <span>{JOB_STATUS_LABELS[job.status] || job.status}</span>
+            {hasIterations && <span>Iteration {job.iteration}/{job.maxIterations}</span>}
+          </div>
+          {hasIterations && (
+            <div className="w-full bg-purple-100 rounded-full h-2 mt-2">
+              <div
+                className="bg-purple-600 h-2 rounded-full transition-all"
+                style={{ width: `${Math.min(100, job.iteration / job.maxIterations * 100)}%` }}
+              ></div>
+            </div>
+          )}
+          {job.status === 'retrying' && (
+            <p className="mt-2 text-xs text-orange-700">
+              Attempt {job.attempt}/{job.attempts} failed ({job.error.message}); retrying in {Math.round(job.delayMs / 1000)}s.
+            </p>
+          )}
+          {job.cost != null && (
+            <p className="mt-2 text-xs text-gray-500">Current cost: {Number(job.cost).toFixed(4)}</p>
+          )}
+        </div>
+      )}
+      <button
+        onClick={onCancel}
+        className="mt-4 px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+export default JobProgress;
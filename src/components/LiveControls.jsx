@@ -0,0 +1,51 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { LIVE_INTERVALS } from '../liveMode';
+
+const formatTime = iso => (iso ? new Date(iso).toLocaleTimeString() : '—');
+
+const LiveControls = ({ settings, onChange, lastUpdated }) => (
+  <div className="flex items-center gap-2 mt-3 text-sm text-gray-600 flex-wrap">
+    <label className="flex items-center gap-1 font-medium">
+      <input
+        type="checkbox"
+        checked={settings.enabled}
+        onChange={e => onChange({ ...settings, enabled: e.target.checked })}
+      />
+      <RefreshCw className={`w-4 h-4 ${settings.enabled ? 'text-green-600' : 'text-gray-400'}`} />
+      Live
+    </label>
+    <select
+      value={settings.intervalMinutes}
+      disabled={!settings.enabled}
+      onChange={e => onChange({ ...settings, intervalMinutes: Number(e.target.value) })}
+      className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800 disabled:bg-gray-100 disabled:text-gray-400"
+    >
+      {LIVE_INTERVALS.map(option => (
+        <option key={option.minutes} value={option.minutes}>{option.label}</option>
+      ))}
+    </select>
+    <label htmlFor="live-threshold" className="ml-2">Reoptimize above</label>
+    <input
+      id="live-threshold"
+      type="number"
+      min="0"
+      step="0.5"
+      value={settings.thresholdPct}
+      disabled={!settings.enabled}
+      onChange={e => onChange({ ...settings, thresholdPct: e.target.value === '' ? 0 : Number(e.target.value) })}
+      className="w-16 px-2 py-1 border border-gray-300 rounded bg-white text-gray-800 disabled:bg-gray-100 disabled:text-gray-400"
+    />
+    <span>% forecast change</span>
+    <span className="ml-4 text-xs text-gray-500">
+      Data updated {formatTime(lastUpdated.data)}
+      {lastUpdated.changePct != null && ` (largest change ${lastUpdated.changePct}% of peak demand)`}
+      {' · '}Schedule optimized {formatTime(lastUpdated.optimized)}
+    </span>
+    {lastUpdated.error && (
+      <span className="text-xs text-red-600">Live refresh failed: {lastUpdated.error}</span>
+    )}
+  </div>
+);
+
+export default LiveControls;
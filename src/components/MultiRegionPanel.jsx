@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Network } from 'lucide-react';
+import { regions } from '../regions';
+import { INTERTIES, intertieKey, intertiesBetween, defaultTransferLimits, optimizeRegions, regionName } from '../multiRegion';
+
+const REGION_COLORS = ['#2563eb', '#16a34a', '#f97316', '#8b5cf6', '#ef4444', '#06b6d4', '#eab308', '#6b7280'];
+
+// Rough lat/lon projection of the continental US onto the diagram.
+const MAP_WIDTH = 560;
+const MAP_HEIGHT = 280;
+const project = (region) => ({
+  x: 30 + (region.lon + 125) / 58 * (MAP_WIDTH - 60),
+  y: 20 + (50 - region.lat) / 25 * (MAP_HEIGHT - 40)
+});
+
+const FlowDiagram = ({ regionIds, ties, slot }) => {
+  const positions = Object.fromEntries(regionIds.map(id => [id, project(regions.find(r => r.id === id))]));
+  const flowOn = (tie) => (slot ? slot.transfers.find(t => intertieKey(t.from, t.to) === intertieKey(tie.a, tie.b)) : null);
+
+  return (
+    <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} className="w-full bg-white rounded border border-gray-200">
+      <defs>
+        <marker id="flow-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+          <path d="M0,0 L10,5 L0,10 z" fill="#7c3aed" />
+        </marker>
+      </defs>
+      {ties.map((tie) => {
+        const a = positions[tie.a];
+        const b = positions[tie.b];
+        const flow = flowOn(tie);
+        const [from, to] = flow ? [positions[flow.from], positions[flow.to]] : [a, b];
+        const share = flow ? Math.min(1, flow.amount / Math.max(1, tie.limitMW)) : 0;
+        return (
+          <g key={intertieKey(tie.a, tie.b)}>
+            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="#e5e7eb" strokeWidth={8} />
+            {flow && (
+              <line
+                x1={from.x}
+                y1={from.y}
+                x2={from.x + (to.x - from.x) * 0.85}
+                y2={from.y + (to.y - from.y) * 0.85}
+                stroke="#7c3aed"
+                strokeWidth={2 + share * 6}
+                markerEnd="url(#flow-arrow)"
+              />
+            )}
+            <text x={(a.x + b.x) / 2} y={(a.y + b.y) / 2 - 8} fontSize="10" textAnchor="middle" fill="#4b5563">
+              {flow ? `${flow.amount.toLocaleString()} / ${tie.limitMW.toLocaleString()} MW` : `0 / ${tie.limitMW.toLocaleString()} MW`}
+            </text>
+          </g>
+        );
+      })}
+      {regionIds.map((id, idx) => (
+        <g key={id}>
+          <circle cx={positions[id].x} cy={positions[id].y} r={14} fill={REGION_COLORS[idx % REGION_COLORS.length]} />
+          <text x={positions[id].x} y={positions[id].y + 28} fontSize="11" textAnchor="middle" fill="#1f2937">
+            {regionName(id)}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+const MultiRegionPanel = ({ loadRegion, optimize }) => {
+  const [selected, setSelected] = useState(['california', 'northwest', 'southwest']);
+  const [limits, setLimits] = useState(defaultTransferLimits);
+  const [status, setStatus] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [slotIndex, setSlotIndex] = useState(0);
+  const runRef = useRef(null);
+
+  useEffect(() => () => {
+    if (runRef.current) runRef.current.abort();
+  }, []);
+
+  const toggle = (id) => setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+  const ties = intertiesBetween(selected, limits);
+
+  const run = async () => {
+    if (runRef.current) runRef.current.abort();
+    const controller = new AbortController();
+    runRef.current = controller;
+    setRunning(true);
+    setResult(null);
+    try {
+      setStatus(`Loading ${selected.length} regions…`);
+      const datasets = {};
+      for (const id of selected) {
+        datasets[id] = await loadRegion(id);
+        if (controller.signal.aborted) return;
+      }
+      setStatus('Optimizing…');
+      const next = await optimizeRegions(datasets, limits, data => optimize(data, controller.signal));
+      if (controller.signal.aborted) return;
+      setResult(next);
+      setSlotIndex(0);
+      setStatus(null);
+    } catch (error) {
+      if (!controller.signal.aborted) setStatus(`Coordinated run failed: ${error.message}`);
+    } finally {
+      if (runRef.current === controller) {
+        runRef.current = null;
+        setRunning(false);
+      }
+    }
+  };
+
+  const interchange = result && result.flows.map(slot => ({
+    hour: slot.hour,
+    ...Object.fromEntries(result.regionIds.map(id => [id, slot.transfers.reduce((sum, t) => (
+      t.to === id ? sum + t.amount : t.from === id ? sum - t.amount : sum
+    ), 0)]))
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+        <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
+          <Network className="w-5 h-5 text-purple-600" />
+          Coordinated Regions
+        </h3>
+        <div className="flex gap-2 flex-wrap">
+          {regions.map(region => (
+            <label key={region.id} className="flex items-center gap-1 text-sm text-gray-700 bg-white px-2 py-1 rounded border border-gray-200">
+              <input type="checkbox" checked={selected.includes(region.id)} onChange={() => toggle(region.id)} />
+              {region.shortName}
+            </label>
+          ))}
+        </div>
+
+        <p className="text-sm font-semibold text-gray-700 mt-4 mb-2">Transfer Limits (MW)</p>
+        {ties.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            None of the selected regions are neighbours. Interties: {INTERTIES.map(t => `${regionName(t.a)}–${regionName(t.b)}`).join(', ')}.
+          </p>
+        ) : (
+          <div className="grid grid-cols-3 gap-3">
+            {ties.map(tie => (
+              <label key={intertieKey(tie.a, tie.b)} className="text-sm text-gray-600">
+                {regionName(tie.a)} ↔ {regionName(tie.b)}
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  value={tie.limitMW}
+                  onChange={e => setLimits({ ...limits, [intertieKey(tie.a, tie.b)]: Math.max(0, Number(e.target.value)) })}
+                  className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="mt-4 flex items-center gap-3">
+          <button
+            onClick={run}
+            disabled={selected.length < 2 || running}
+            className="px-4 py-2 rounded-lg font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-300"
+          >
+            Optimize Together
+          </button>
+          {selected.length < 2 && <span className="text-xs text-gray-500">Select at least two regions.</span>}
+          {status && <span className="text-sm text-gray-600">{status}</span>}
+        </div>
+      </div>
+
+      {result && (
+        <>
+          <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+            <h3 className="font-semibold text-gray-700 mb-2 flex items-center justify-between">
+              <span>Inter-Region Flows · {result.flows[slotIndex].hour}</span>
+              <span className="text-xs text-gray-600">
+                {result.summary.transferredMWh.toLocaleString()} MWh shared · {result.summary.outsideImportMWh.toLocaleString()} MWh imported from outside
+              </span>
+            </h3>
+            <FlowDiagram regionIds={result.regionIds} ties={result.ties} slot={result.flows[slotIndex]} />
+            <input
+              type="range"
+              min="0"
+              max={result.flows.length - 1}
+              value={slotIndex}
+              onChange={e => setSlotIndex(Number(e.target.value))}
+              className="w-full mt-2"
+            />
+          </div>
+
+          <div className="bg-gray-50 rounded-lg p-5 border border-gray-200" data-report-chart="Net Interchange">
+            <h3 className="font-semibold text-gray-700 mb-4">Net Interchange (MW, + import / − export)</h3>
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={interchange}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
+                <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
+                <Tooltip />
+                <Legend />
+                {result.regionIds.map((id, idx) => (
+                  <Line key={id} type="stepAfter" dataKey={id} name={regionName(id)} stroke={REGION_COLORS[idx % REGION_COLORS.length]} strokeWidth={2} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="grid grid-cols-2 gap-6">
+            {result.regionIds.map(id => (
+              <div key={id} className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+                <h3 className="font-semibold text-gray-700 mb-2">{result.regions[id].energyData.region}</h3>
+                <p className="text-xs text-gray-600 mb-3">
+                  Savings ${result.regions[id].results.summary.costSaving.toLocaleString()} ·
+                  CO₂ {result.regions[id].results.summary.carbonReduction}t ·
+                  {result.regions[id].results.usingRealBackend ? ' Qiskit backend' : ' fallback optimizer'}
+                </p>
+                <div className="space-y-2 max-h-64 overflow-y-auto">
+                  {result.regions[id].recommendations.length === 0 && (
+                    <p className="text-sm text-gray-500">No transfers or grid trades needed in the next 8 hours.</p>
+                  )}
+                  {result.regions[id].recommendations.map((rec, idx) => (
+                    <div key={idx} className={`p-2 rounded border-l-4 text-sm ${
+                      rec.type === 'excess' ? 'bg-green-50 border-green-500' : 'bg-orange-50 border-orange-500'
+                    }`}>
+                      <span className="font-medium">{rec.time}:</span> {rec.message}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MultiRegionPanel;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { DollarSign } from 'lucide-react';
+import { getRegionPricing, parseLmpSeries, CARBON_SHADOW_PRICE } from '../pricing';
+
+const PeriodList = ({ periods, base, unit, baseLabel }) => (
+  <ul className="text-xs text-gray-600 space-y-1">
+    {periods.map((period, idx) => (
+      <li key={idx} className="flex justify-between">
+        <span>{period.name || 'Hours'} {period.hours}</span>
+        <span>{period.price ?? period.intensity} {unit}</span>
+      </li>
+    ))}
+    <li className="flex justify-between">
+      <span>{baseLabel}</span>
+      <span>{base} {unit}</span>
+    </li>
+  </ul>
+);
+
+const PricingPanel = ({ regionId, energyData, model, onChange }) => {
+  const [result, setResult] = useState(null);
+  const { tariff, carbon } = getRegionPricing(regionId);
+  const mode = model && model.mode === 'lmp' ? 'lmp' : 'tou';
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const parsed = parseLmpSeries(await file.text(), file.name);
+    setResult(parsed);
+    if (parsed.valid) onChange({ mode: 'lmp', lmp: parsed.lmp });
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200" data-report-chart="Price & Carbon Signals">
+      <h3 className="font-semibold text-gray-700 mb-2 flex items-center gap-2">
+        <DollarSign className="w-5 h-5 text-blue-600" />
+        Price & Carbon Signals
+      </h3>
+      <div className="flex items-center gap-2 text-sm text-gray-600 mb-3">
+        <label htmlFor="price-model">Price model:</label>
+        <select
+          id="price-model"
+          value={mode}
+          onChange={e => onChange(e.target.value === 'lmp' && model && model.lmp ? { ...model, mode: 'lmp' } : { ...model, mode: 'tou' })}
+          className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+        >
+          <option value="tou">{tariff.name}</option>
+          <option value="lmp" disabled={!(model && model.lmp)}>
+            {model && model.lmp ? `Imported LMP (${model.lmp.name})` : 'Imported LMP (none loaded)'}
+          </option>
+        </select>
+      </div>
+
+      <ResponsiveContainer width="100%" height={160}>
+        <LineChart data={energyData.hourly}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+          <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
+          <YAxis yAxisId="price" tick={{fontSize: 11}} stroke="#2563eb" />
+          <YAxis yAxisId="carbon" orientation="right" tick={{fontSize: 11}} stroke="#6b7280" />
+          <Tooltip />
+          <Legend />
+          <Line yAxisId="price" type="stepAfter" dataKey="price" name="Price ($/MWh)" stroke="#2563eb" strokeWidth={2} dot={false} />
+          <Line yAxisId="carbon" type="stepAfter" dataKey="carbonIntensity" name="Marginal CO₂ (t/MWh)" stroke="#6b7280" strokeWidth={2} dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+
+      {mode === 'lmp' && energyData.pricing.uncoveredSlots > 0 && (
+        <p className="text-xs text-orange-700 mt-2">
+          {energyData.pricing.uncoveredSlots} slot{energyData.pricing.uncoveredSlots > 1 ? 's fall' : ' falls'} outside
+          the imported series and keep{energyData.pricing.uncoveredSlots > 1 ? '' : 's'} the {tariff.name} and regional carbon profile.
+        </p>
+      )}
+
+      {mode === 'tou' && (
+        <div className="grid grid-cols-2 gap-4 mt-3">
+          <div>
+            <p className="text-xs font-semibold text-gray-700 mb-1">{tariff.name}</p>
+            <PeriodList periods={tariff.periods} base={tariff.offPeakPrice} unit="$/MWh" baseLabel="Off-peak (other hours)" />
+          </div>
+          <div>
+            <p className="text-xs font-semibold text-gray-700 mb-1">{carbon.name}</p>
+            <PeriodList periods={carbon.periods} base={carbon.baseIntensity} unit="t/MWh" baseLabel="Other hours" />
+          </div>
+        </div>
+      )}
+
+      <div className="mt-4">
+        <p className="text-xs text-gray-500 mb-2">
+          Import an hourly LMP series as CSV with <code>hour</code> (0–23) or <code>timestamp</code>,
+          <code> lmp</code> in $/MWh and optionally <code>carbon</code> in tCO₂/MWh. Without a carbon
+          column the regional marginal profile is kept. Timestamped prices apply to the slots they cover;
+          an <code>hour</code>-only file is used as a daily profile.
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={handleFile} className="text-sm text-gray-700" />
+        {result && !result.valid && (
+          <ul className="mt-2 text-xs text-red-600 space-y-1 max-h-32 overflow-y-auto">
+            {result.problems.map((problem, idx) => (
+              <li key={idx}>{problem.row != null ? `Row ${problem.row}: ` : ''}{problem.message}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-3">
+        The fallback optimizer prices each MWh imported at the slot's price plus its marginal emissions at
+        ${CARBON_SHADOW_PRICE}/tCO₂. Both series are sent to the backend with every slot.
+      </p>
+    </div>
+  );
+};
+
+export default PricingPanel;
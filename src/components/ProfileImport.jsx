@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Upload } from 'lucide-react';
+import { parseProfile } from '../profileImport';
+
+const ProfileImport = ({ onImport }) => {
+  const [result, setResult] = useState(null);
+  const [fileName, setFileName] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setResult(parseProfile(await file.text(), file.name));
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-2 flex items-center gap-2">
+        <Upload className="w-5 h-5 text-blue-600" />
+        Import Custom Profile
+      </h3>
+      <p className="text-xs text-gray-500 mb-3">
+        CSV or JSON with hour, solar, wind, hydro and demand for hours 0–23. Units default to MW;
+        add them to column names, e.g. <code>solar (kW)</code>. Optional <code>solar_p10</code>/<code>solar_p90</code>
+        (likewise wind and demand) supply forecast bands.
+      </p>
+      <input
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        onChange={handleFile}
+        className="text-sm text-gray-700"
+      />
+
+      {result && result.problems.length > 0 && (
+        <div className="mt-3 max-h-48 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="pr-2">Row</th>
+                <th className="pr-2">Column</th>
+                <th>Problem</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.problems.map((problem, idx) => (
+                <tr key={idx} className={problem.severity === 'error' ? 'text-red-600' : 'text-orange-600'}>
+                  <td className="pr-2">{problem.row ?? '—'}</td>
+                  <td className="pr-2">{problem.field ?? '—'}</td>
+                  <td>{problem.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {result && result.valid && (
+        <div className="mt-3 flex items-center justify-between">
+          <span className="text-sm text-green-700">{result.rows.length} hours validated.</span>
+          <button
+            onClick={() => onImport({ name: fileName, rows: result.rows })}
+            className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700"
+          >
+            Use Profile
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileImport;
@@ -0,0 +1,304 @@
+import React, { useState } from 'react';
+import { LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Cpu } from 'lucide-react';
+import { buildQubo, quboToIsing, quboEnergy, scheduleToBitstring, bitstringToSchedule } from '../qubo';
+import { parseQasm, layoutCircuit } from '../circuit';
+
+const TABS = [
+  { id: 'problem', label: 'QUBO / Ising' },
+  { id: 'circuit', label: 'Circuit' },
+  { id: 'measurements', label: 'Measurements' },
+  { id: 'convergence', label: 'Convergence' },
+  { id: 'mapping', label: 'Bitstring → Schedule' }
+];
+
+const MAX_HISTOGRAM_BARS = 16;
+
+const Unavailable = ({ children }) => (
+  <p className="text-sm text-gray-500 py-6 text-center">{children}</p>
+);
+
+const heatColor = (value, max) => {
+  if (!value) return '#ffffff';
+  const t = Math.min(1, Math.abs(value) / max);
+  return value > 0 ? `rgba(239, 68, 68, ${0.15 + 0.85 * t})` : `rgba(37, 99, 235, ${0.15 + 0.85 * t})`;
+};
+
+const QuboMatrix = ({ qubo }) => {
+  const n = qubo.variables.length;
+  const cell = Math.max(4, Math.floor(240 / n));
+  const values = [...qubo.linear.map(Math.abs), ...qubo.quadratic.map(t => Math.abs(t.value))];
+  const max = Math.max(1e-9, ...values);
+  return (
+    <svg width={n * cell} height={n * cell} className="border border-gray-200 bg-white">
+      {qubo.linear.map((a, i) => (
+        <rect key={`l${i}`} x={i * cell} y={i * cell} width={cell} height={cell} fill={heatColor(a, max)} />
+      ))}
+      {qubo.quadratic.map(({ i, j, value }) => (
+        <rect key={`q${i},${j}`} x={j * cell} y={i * cell} width={cell} height={cell} fill={heatColor(value, max)} />
+      ))}
+    </svg>
+  );
+};
+
+const ProblemTab = ({ qubo }) => {
+  const [form, setForm] = useState('qubo');
+  const ising = quboToIsing(qubo);
+  const terms = form === 'qubo'
+    ? qubo.quadratic
+    : ising.couplings;
+  const strongest = [...terms].sort((x, y) => Math.abs(y.value) - Math.abs(x.value)).slice(0, 10);
+  const label = i => qubo.variables[i].label;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-600">
+          {qubo.variables.length} variables ({qubo.slots} slots × charge/discharge) · {qubo.quadratic.length} couplings ·
+          penalties A={qubo.penalties.exclusive}, B={qubo.penalties.balance}
+          {qubo.truncated && ' · first slots only'}
+        </span>
+        <select
+          value={form}
+          onChange={e => setForm(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+        >
+          <option value="qubo">QUBO (x ∈ {'{0,1}'})</option>
+          <option value="ising">Ising (z ∈ {'{−1,+1}'})</option>
+        </select>
+      </div>
+      <p className="text-xs text-gray-500">
+        Minimise Σ w_t·(s_t − c_t + d_t)² + A·Σ c_t·d_t + B·(Σ c_t − d_t)², where s_t is surplus in units of battery
+        power and w_t the slot's import cost relative to the mean.
+        Offset {(form === 'qubo' ? qubo.offset : ising.offset).toFixed(3)}.
+      </p>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <p className="text-xs font-semibold text-gray-700 mb-1">Matrix (red +, blue −)</p>
+          <QuboMatrix qubo={qubo} />
+        </div>
+        <div className="space-y-3">
+          <div className="max-h-40 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th>Var</th>
+                  <th>Slot</th>
+                  <th>{form === 'qubo' ? 'Linear' : 'h'}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {qubo.variables.map(v => (
+                  <tr key={v.index} className="border-t border-gray-200">
+                    <td>{v.label}</td>
+                    <td>{v.hour} {v.kind}</td>
+                    <td>{(form === 'qubo' ? qubo.linear[v.index] : ising.h[v.index]).toFixed(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div>
+            <p className="text-xs font-semibold text-gray-700 mb-1">Strongest couplings</p>
+            <ul className="text-xs text-gray-600 space-y-0.5">
+              {strongest.map(({ i, j, value }) => (
+                <li key={`${i},${j}`}>{label(i)}·{label(j)}: {value.toFixed(3)}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const WIRE_GAP = 22;
+const COLUMN_WIDTH = 38;
+const GATE_SIZE = 18;
+
+const CircuitDiagram = ({ qasm }) => {
+  const circuit = layoutCircuit(parseQasm(qasm));
+  if (!circuit.qubits || !circuit.gates.length) return <Unavailable>The returned QASM has no gates to draw.</Unavailable>;
+  const width = 40 + (circuit.depth + 1) * COLUMN_WIDTH;
+  const height = circuit.qubits * WIRE_GAP + 10;
+  const y = q => 15 + q * WIRE_GAP;
+  const x = column => 40 + column * COLUMN_WIDTH + COLUMN_WIDTH / 2;
+
+  return (
+    <div className="overflow-auto max-h-96 bg-white border border-gray-200 rounded">
+      <svg width={width} height={height}>
+        {Array.from({ length: circuit.qubits }, (_, q) => (
+          <g key={q}>
+            <text x={4} y={y(q) + 4} fontSize="10" fill="#4b5563">q{q}</text>
+            <line x1={30} y1={y(q)} x2={width} y2={y(q)} stroke="#9ca3af" />
+          </g>
+        ))}
+        {circuit.gates.map((gate, idx) => {
+          const cx = x(gate.column);
+          const lo = Math.min(...gate.qubits);
+          const hi = Math.max(...gate.qubits);
+          const title = `${gate.name}${gate.params ? `(${gate.params})` : ''} ${gate.qubits.map(q => `q${q}`).join(', ')}`;
+          if (gate.name === 'barrier') {
+            return <line key={idx} x1={cx} y1={y(lo) - 8} x2={cx} y2={y(hi) + 8} stroke="#9ca3af" strokeDasharray="3 3"><title>{title}</title></line>;
+          }
+          const boxLabel = gate.name === 'measure' ? 'M' : gate.name.toUpperCase().slice(0, 3);
+          return (
+            <g key={idx}>
+              <title>{title}</title>
+              {hi > lo && <line x1={cx} y1={y(lo)} x2={cx} y2={y(hi)} stroke="#7c3aed" strokeWidth={1.5} />}
+              {gate.qubits.map(q => (gate.name === 'cx' && q !== gate.qubits[0] ? (
+                <circle key={q} cx={cx} cy={y(q)} r={7} fill="white" stroke="#7c3aed" strokeWidth={1.5} />
+              ) : gate.name === 'cx' || gate.name === 'cz' ? (
+                <circle key={q} cx={cx} cy={y(q)} r={3.5} fill="#7c3aed" />
+              ) : (
+                <g key={q}>
+                  <rect
+                    x={cx - GATE_SIZE / 2}
+                    y={y(q) - GATE_SIZE / 2}
+                    width={GATE_SIZE}
+                    height={GATE_SIZE}
+                    fill={gate.name === 'measure' ? '#f3f4f6' : '#ede9fe'}
+                    stroke="#7c3aed"
+                  />
+                  <text x={cx} y={y(q) + 3} fontSize="7" textAnchor="middle" fill="#4c1d95">{boxLabel}</text>
+                </g>
+              )))}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+// Backend results may report the winning bitstring directly; otherwise it
+// is the most frequent measurement.
+const winningBitstring = (results, counts) => {
+  if (results.bestBitstring) return results.bestBitstring;
+  const entries = Object.entries(counts || {});
+  return entries.length ? entries.sort((a, b) => b[1] - a[1])[0][0] : null;
+};
+
+const QuantumInspector = ({ energyData, quantumResults }) => {
+  const [tab, setTab] = useState('problem');
+  const qubo = buildQubo(energyData);
+  const qasm = quantumResults.qasm || (quantumResults.circuit && quantumResults.circuit.qasm);
+  const counts = quantumResults.counts || quantumResults.measurements;
+  const convergence = quantumResults.convergence
+    || (quantumResults.costHistory && quantumResults.costHistory.map((cost, idx) => ({ iteration: idx + 1, cost })));
+  const winner = winningBitstring(quantumResults, counts);
+  const scheduleBits = scheduleToBitstring(qubo, quantumResults.schedule);
+  const bitstring = winner || scheduleBits;
+
+  const histogram = counts && Object.entries(counts)
+    .map(([bits, count]) => ({ bits, count, energy: Number(quboEnergy(qubo, bits).toFixed(3)) }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_HISTOGRAM_BARS);
+  const mapped = bitstringToSchedule(qubo, bitstring);
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-3 flex items-center gap-2">
+        <Cpu className="w-5 h-5 text-purple-600" />
+        Quantum Inspector
+      </h3>
+      <div className="flex gap-1 flex-wrap mb-4">
+        {TABS.map(t => (
+          <button
+            key={t.id}
+            onClick={() => setTab(t.id)}
+            className={`px-3 py-1 rounded-lg text-xs font-medium ${
+              tab === t.id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'problem' && <ProblemTab qubo={qubo} />}
+
+      {tab === 'circuit' && (qasm
+        ? <CircuitDiagram qasm={qasm} />
+        : <Unavailable>No circuit was returned{quantumResults.usingRealBackend ? ' by the backend (expected a `qasm` field)' : ' — the fallback optimizer does not run one'}.</Unavailable>
+      )}
+
+      {tab === 'measurements' && (histogram && histogram.length ? (
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={histogram}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="bits" tick={false} stroke="#6b7280" />
+            <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
+            <Tooltip formatter={(value, name, item) => [`${value} shots · QUBO energy ${item.payload.energy}`, item.payload.bits]} />
+            <Bar dataKey="count" name="Shots">
+              {histogram.map(entry => (
+                <Cell key={entry.bits} fill={entry.bits === winner ? '#7c3aed' : '#c4b5fd'} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      ) : (
+        <Unavailable>No measurement counts were returned.</Unavailable>
+      ))}
+
+      {tab === 'convergence' && (convergence && convergence.length ? (
+        <ResponsiveContainer width="100%" height={220}>
+          <LineChart data={convergence}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis dataKey="iteration" tick={{fontSize: 11}} stroke="#6b7280" />
+            <YAxis tick={{fontSize: 11}} stroke="#6b7280" />
+            <Tooltip />
+            <Line type="monotone" dataKey="cost" name="Cost" stroke="#7c3aed" strokeWidth={2} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      ) : (
+        <Unavailable>
+          No cost history for this run
+          {Number.isFinite(quantumResults.metrics.iterations) && ` (${quantumResults.metrics.iterations} iterations reported)`}.
+        </Unavailable>
+      ))}
+
+      {tab === 'mapping' && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-600 break-all">
+            {winner ? 'Winning bitstring' : 'Schedule encoded as a bitstring'}: <code>{bitstring}</code> ·
+            QUBO energy {quboEnergy(qubo, bitstring).toFixed(3)}
+            {winner && winner !== scheduleBits && ` (reported schedule encodes to ${quboEnergy(qubo, scheduleBits).toFixed(3)})`}
+          </p>
+          <div className="max-h-64 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th>Slot</th>
+                  <th>c d</th>
+                  <th>Bitstring says</th>
+                  <th>Schedule</th>
+                </tr>
+              </thead>
+              <tbody>
+                {mapped.map((row, idx) => {
+                  const entry = quantumResults.schedule[idx];
+                  const matches = entry && entry.action === row.action;
+                  return (
+                    <tr key={idx} className="border-t border-gray-200">
+                      <td>{row.hour}</td>
+                      <td className="font-mono">{row.bits}</td>
+                      <td className={row.conflict ? 'text-red-600' : ''}>
+                        {row.conflict ? 'Conflict (both set)' : row.action === 'Idle' ? 'Idle' : `${row.action} ${row.amount.toLocaleString()} MW`}
+                      </td>
+                      <td className={matches ? 'text-gray-700' : 'text-orange-700'}>
+                        {entry ? (entry.action === 'Idle' ? 'Idle' : `${entry.action} ${entry.amount.toLocaleString()} MW`) : '—'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuantumInspector;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, Bell, Check, Clock } from 'lucide-react';
+import {
+  RULE_DEFINITIONS, SEVERITIES, SNOOZE_OPTIONS,
+  acknowledgeAlert, snoozeAlert, restoreAlert, isAlertActive, alertStateEntry
+} from '../recommendations';
+import { notificationPermission, requestNotificationPermission } from '../notifications';
+
+export const SEVERITY_STYLES = {
+  critical: { card: 'bg-red-50 border-red-500', icon: 'text-red-600', badge: 'bg-red-100 text-red-700' },
+  warning: { card: 'bg-orange-50 border-orange-500', icon: 'text-orange-600', badge: 'bg-orange-100 text-orange-700' },
+  info: { card: 'bg-blue-50 border-blue-400', icon: 'text-blue-600', badge: 'bg-blue-100 text-blue-700' }
+};
+
+const RuleEditor = ({ rules, onChange }) => {
+  const [draft, setDraft] = useState(rules);
+
+  useEffect(() => {
+    setDraft(rules);
+  }, [rules]);
+
+  const update = (id, patch) => setDraft({ ...draft, [id]: { ...draft[id], ...patch } });
+
+  return (
+    <div className="mt-3 space-y-3">
+      {RULE_DEFINITIONS.map(def => (
+        <div key={def.id} className="bg-white p-3 rounded border border-gray-200 text-sm">
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={draft[def.id].enabled}
+                onChange={e => update(def.id, { enabled: e.target.checked })}
+              />
+              {def.name}
+            </label>
+            <select
+              value={draft[def.id].severity}
+              disabled={!draft[def.id].enabled}
+              onChange={e => update(def.id, { severity: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded bg-white text-gray-800 text-xs disabled:bg-gray-100"
+            >
+              {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-2 mt-2">
+            {def.params.map(param => (
+              <label key={param.key} className="text-xs text-gray-600">
+                {param.label}
+                <input
+                  type="number"
+                  min="0"
+                  value={draft[def.id][param.key]}
+                  disabled={!draft[def.id].enabled}
+                  onChange={e => update(def.id, { [param.key]: e.target.value === '' ? 0 : Number(e.target.value) })}
+                  className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800 disabled:bg-gray-100 disabled:text-gray-400"
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange(draft)}
+        className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700"
+      >
+        Apply Rules
+      </button>
+    </div>
+  );
+};
+
+const RecommendationsPanel = ({ recommendations, alertState, onAlertStateChange, rules, onRulesChange }) => {
+  const [showDismissed, setShowDismissed] = useState(false);
+  const [permission, setPermission] = useState(notificationPermission);
+  const active = recommendations.filter(rec => isAlertActive(rec, alertState));
+  const dismissed = recommendations.filter(rec => !isAlertActive(rec, alertState));
+  const shown = showDismissed ? recommendations : active;
+  const counts = SEVERITIES.map(s => [s, active.filter(rec => rec.severity === s).length]);
+
+  const enableNotifications = async () => setPermission(await requestNotificationPermission());
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-2 flex items-center justify-between">
+        <span>System Recommendations</span>
+        <span className="flex gap-1 text-xs">
+          {counts.filter(([, n]) => n > 0).map(([s, n]) => (
+            <span key={s} className={`px-2 py-1 rounded font-semibold ${SEVERITY_STYLES[s].badge}`}>{n} {s}</span>
+          ))}
+        </span>
+      </h3>
+      <div className="flex items-center justify-between text-xs text-gray-600 mb-3">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={showDismissed} onChange={e => setShowDismissed(e.target.checked)} />
+          Show acknowledged & snoozed ({dismissed.length})
+        </label>
+        {permission === 'default' && (
+          <button onClick={enableNotifications} className="flex items-center gap-1 text-blue-600 hover:text-blue-800">
+            <Bell className="w-3 h-3" />
+            Enable browser notifications
+          </button>
+        )}
+        {permission === 'denied' && <span>Browser notifications blocked</span>}
+      </div>
+
+      <div className="space-y-3 max-h-96 overflow-y-auto">
+        {shown.length === 0 && (
+          <p className="text-sm text-gray-500">No open recommendations for this horizon.</p>
+        )}
+        {shown.map((rec) => {
+          const style = SEVERITY_STYLES[rec.severity] || SEVERITY_STYLES.info;
+          const isActive = isAlertActive(rec, alertState);
+          const entry = alertStateEntry(alertState, rec);
+          return (
+            <div key={rec.key || `${rec.time}|${rec.type}`} className={`p-3 rounded-lg border-l-4 ${style.card} ${isActive ? '' : 'opacity-60'}`}>
+              <div className="flex items-start gap-2">
+                <AlertCircle className={`w-5 h-5 mt-0.5 ${style.icon}`} />
+                <div className="flex-1">
+                  <p className="font-medium text-sm text-gray-800 flex items-center gap-2">
+                    {rec.time}
+                    <span className={`text-xs px-2 rounded ${style.badge}`}>{rec.severity}</span>
+                  </p>
+                  <p className="text-sm text-gray-700 mt-1">{rec.message}</p>
+                  {rec.key && (
+                    <div className="flex items-center gap-3 mt-2 text-xs">
+                      {isActive ? (
+                        <>
+                          <button
+                            onClick={() => onAlertStateChange(acknowledgeAlert(alertState, rec))}
+                            className="flex items-center gap-1 text-gray-600 hover:text-gray-900"
+                          >
+                            <Check className="w-3 h-3" />
+                            Acknowledge
+                          </button>
+                          <span className="flex items-center gap-1 text-gray-600">
+                            <Clock className="w-3 h-3" />
+                            Snooze
+                            {SNOOZE_OPTIONS.map(option => (
+                              <button
+                                key={option.minutes}
+                                onClick={() => onAlertStateChange(snoozeAlert(alertState, rec, option.minutes))}
+                                className="px-1 rounded bg-white border border-gray-200 hover:bg-gray-100"
+                              >
+                                {option.label}
+                              </button>
+                            ))}
+                          </span>
+                        </>
+                      ) : (
+                        <>
+                          <span className="text-gray-500">
+                            {entry.acknowledged ? 'Acknowledged' : `Snoozed until ${new Date(entry.snoozedUntil).toLocaleString()}`}
+                          </span>
+                          <button
+                            onClick={() => onAlertStateChange(restoreAlert(alertState, rec))}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Reopen
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <details className="mt-4">
+        <summary className="cursor-pointer text-sm font-semibold text-gray-700">Recommendation Rules</summary>
+        <RuleEditor rules={rules} onChange={onRulesChange} />
+      </details>
+    </div>
+  );
+};
+
+export default RecommendationsPanel;
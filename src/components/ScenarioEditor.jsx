@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { FlaskConical } from 'lucide-react';
+import { createScenario, listScenarios, saveScenario, deleteScenario } from '../scenarios';
+
+const NumberField = ({ label, value, onChange, step = 'any' }) => (
+  <label className="text-sm text-gray-600">
+    {label}
+    <input
+      type="number"
+      step={step}
+      value={value}
+      onChange={e => onChange(Number(e.target.value))}
+      className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+    />
+  </label>
+);
+
+const HoursField = ({ value, onChange }) => (
+  <label className="text-sm text-gray-600">
+    Hours
+    <input
+      type="text"
+      value={value}
+      placeholder="e.g. 14-19, 22"
+      onChange={e => onChange(e.target.value)}
+      className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+    />
+  </label>
+);
+
+const ScenarioEditor = ({ regionId, energyData, scenarioResults, isRunning, error, onRun, onClear }) => {
+  const [draft, setDraft] = useState(() => createScenario(regionId, energyData));
+  const [saved, setSaved] = useState(() => listScenarios().filter(s => s.regionId === regionId));
+
+  const update = (patch) => setDraft({ ...draft, ...patch });
+  const updateEvent = (key, patch) => setDraft({ ...draft, [key]: { ...draft[key], ...patch } });
+
+  const save = () => {
+    const scenario = saveScenario({ ...draft, name: draft.name || `Scenario ${saved.length + 1}` });
+    setDraft(scenario);
+    setSaved(listScenarios().filter(s => s.regionId === regionId));
+  };
+
+  const remove = (id) => {
+    deleteScenario(id);
+    setSaved(listScenarios().filter(s => s.regionId === regionId));
+    if (draft.id === id) setDraft({ ...draft, id: null });
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
+        <FlaskConical className="w-5 h-5 text-purple-600" />
+        What-if Scenario
+      </h3>
+
+      <label className="block text-sm text-gray-600 mb-3">
+        Name
+        <input
+          type="text"
+          value={draft.name}
+          placeholder="e.g. August heat wave"
+          onChange={e => update({ name: e.target.value })}
+          className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+        />
+      </label>
+
+      <div className="grid grid-cols-2 gap-3">
+        <NumberField label="Base Load (MW)" value={draft.baseLoad} step="100" onChange={v => update({ baseLoad: v })} />
+        <NumberField label="Demand Growth (%)" value={draft.demandGrowth} onChange={v => update({ demandGrowth: v })} />
+        <NumberField label="Solar Peak (× base load)" value={draft.solarPeak} step="0.01" onChange={v => update({ solarPeak: v })} />
+        <NumberField label="Wind Factor" value={draft.windFactor} step="0.01" onChange={v => update({ windFactor: v })} />
+        <NumberField label="Hydro Factor" value={draft.hydroFactor} step="0.01" onChange={v => update({ hydroFactor: v })} />
+      </div>
+
+      <div className="mt-4 space-y-3">
+        <p className="text-sm font-semibold text-gray-700">Events</p>
+        <div className="grid grid-cols-2 gap-3">
+          <NumberField label="Heat Wave Demand (×)" value={draft.heatWave.multiplier} step="0.05" onChange={v => updateEvent('heatWave', { multiplier: v })} />
+          <HoursField value={draft.heatWave.hours} onChange={v => updateEvent('heatWave', { hours: v })} />
+          <NumberField label="Wind Lull (× output)" value={draft.windLull.factor} step="0.05" onChange={v => updateEvent('windLull', { factor: v })} />
+          <HoursField value={draft.windLull.hours} onChange={v => updateEvent('windLull', { hours: v })} />
+          <NumberField label="Cloud Cover (solar lost, 0-1)" value={draft.cloudCover.fraction} step="0.05" onChange={v => updateEvent('cloudCover', { fraction: v })} />
+          <HoursField value={draft.cloudCover.hours} onChange={v => updateEvent('cloudCover', { hours: v })} />
+        </div>
+      </div>
+
+      <div className="mt-4 flex gap-2 flex-wrap">
+        <button
+          onClick={() => onRun(draft)}
+          disabled={isRunning}
+          className="px-4 py-2 rounded-lg font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-300"
+        >
+          {isRunning ? 'Running…' : 'Run Scenario'}
+        </button>
+        <button onClick={save} className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200">
+          Save
+        </button>
+        <button
+          onClick={() => {
+            setDraft(createScenario(regionId, energyData));
+            onClear();
+          }}
+          className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+        >
+          Reset to Base Case
+        </button>
+      </div>
+
+      {error && (
+        <p className="mt-3 text-sm text-red-700">Scenario run failed: {error}</p>
+      )}
+
+      {saved.length > 0 && (
+        <div className="mt-4 space-y-2">
+          <p className="text-sm font-semibold text-gray-700">Saved Scenarios</p>
+          {saved.map(s => (
+            <div key={s.id} className="flex justify-between items-center text-sm bg-white p-2 rounded border border-gray-200">
+              <button onClick={() => setDraft(s)} className="text-blue-700 hover:underline">{s.name}</button>
+              <span className="flex gap-3">
+                <button onClick={() => onRun(s)} disabled={isRunning} className="text-purple-700 hover:underline disabled:text-gray-400">Run</button>
+                <button onClick={() => remove(s.id)} className="text-red-600 hover:underline">Delete</button>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {scenarioResults && (
+        <div className="mt-4">
+          <p className="text-sm font-semibold text-gray-700 mb-2">
+            Scenario Recommendations ({scenarioResults.recommendations.length})
+          </p>
+          <div className="space-y-2 max-h-48 overflow-y-auto">
+            {scenarioResults.recommendations.map((rec, idx) => (
+              <div key={idx} className={`p-2 rounded border-l-4 text-sm ${
+                rec.type === 'excess' ? 'bg-green-50 border-green-500' : 'bg-orange-50 border-orange-500'
+              }`}>
+                <span className="font-medium">{rec.time}:</span> {rec.message}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioEditor;
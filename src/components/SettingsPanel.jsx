@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Settings } from 'lucide-react';
+import { envSettings } from '../settings';
+
+const fields = [
+  { key: 'apiUrl', label: 'Backend URL', hint: 'Base URL of the Qiskit backend; /api/optimize is appended.', type: 'url' },
+  { key: 'authHeader', label: 'Auth Header', hint: 'Header used for the token, e.g. Authorization or X-API-Key.', type: 'text' },
+  { key: 'authToken', label: 'Token', hint: 'Optional. Sent as "Bearer <token>" with the Authorization header.', type: 'password' },
+  { key: 'requestTimeoutMs', label: 'Request Timeout (ms)', hint: 'Backend requests are aborted after this long.', type: 'number' },
+  { key: 'nrelApiKey', label: 'NREL API Key', hint: 'DEMO_KEY is heavily rate limited.', type: 'password' },
+  { key: 'pjmApiKey', label: 'PJM API Key', hint: 'Data Miner 2 subscription key, required for the PJM data source.', type: 'password' }
+];
+
+const SettingsPanel = ({ settings, onSave, onReset }) => {
+  const [draft, setDraft] = useState(settings);
+
+  const save = () => onSave({ ...draft, requestTimeoutMs: Number(draft.requestTimeoutMs) || envSettings.requestTimeoutMs });
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200 max-w-2xl">
+      <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
+        <Settings className="w-5 h-5 text-blue-600" />
+        Connection Settings
+      </h3>
+      <div className="space-y-4">
+        {fields.map(f => (
+          <label key={f.key} className="block text-sm text-gray-600">
+            {f.label}
+            <input
+              type={f.type}
+              value={draft[f.key]}
+              placeholder={f.type === 'password' ? '' : String(envSettings[f.key])}
+              autoComplete="off"
+              onChange={e => setDraft({ ...draft, [f.key]: e.target.value })}
+              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+            />
+            <span className="text-xs text-gray-500">{f.hint}</span>
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-4">
+        Changes are stored in this browser's localStorage and override the VITE_* build variables.
+      </p>
+      <div className="mt-4 flex gap-2">
+        <button onClick={save} className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700">
+          Save
+        </button>
+        <button
+          onClick={() => {
+            setDraft(envSettings);
+            onReset();
+          }}
+          className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+        >
+          Reset to Defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
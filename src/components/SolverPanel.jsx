@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { SOLVERS, CLASSICAL_OPTIMIZERS, validateSolverSettings, isQuantumSolver } from '../solver';
+
+const NumberField = ({ label, value, onChange, disabled }) => (
+  <label className="text-sm text-gray-600">
+    {label}
+    <input
+      type="number"
+      min="1"
+      step="1"
+      value={value}
+      disabled={disabled}
+      onChange={e => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+      className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800 disabled:bg-gray-100 disabled:text-gray-400"
+    />
+  </label>
+);
+
+const SolverPanel = ({ settings, isRunning, onApply }) => {
+  const [draft, setDraft] = useState(settings);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  const update = (patch) => setDraft({ ...draft, ...patch });
+  const errors = validateSolverSettings(draft);
+  const quantum = isQuantumSolver(draft);
+  const local = draft.solver === 'local';
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200">
+      <h3 className="font-semibold text-gray-700 mb-4 flex items-center gap-2">
+        <SlidersHorizontal className="w-5 h-5 text-purple-600" />
+        Solver
+      </h3>
+      <div className="flex gap-2 flex-wrap mb-4">
+        {SOLVERS.map(s => (
+          <button
+            key={s.id}
+            onClick={() => update({ solver: s.id })}
+            className={`px-3 py-1 rounded-lg text-sm font-medium ${
+              draft.solver === s.id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {s.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <NumberField label="QAOA depth p" value={draft.reps} disabled={draft.solver !== 'qaoa'} onChange={v => update({ reps: v })} />
+        <NumberField label="Shots" value={draft.shots} disabled={!quantum} onChange={v => update({ shots: v })} />
+        <NumberField label="Max Iterations" value={draft.maxIterations} disabled={local} onChange={v => update({ maxIterations: v })} />
+        <label className="text-sm text-gray-600">
+          Optimizer
+          <select
+            value={draft.optimizer}
+            disabled={!quantum}
+            onChange={e => update({ optimizer: e.target.value })}
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800 disabled:bg-gray-100 disabled:text-gray-400"
+          >
+            {CLASSICAL_OPTIMIZERS.map(o => <option key={o} value={o}>{o}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-600 col-span-2">
+          Quantum Backend
+          <span className="mt-1 flex gap-4 py-1">
+            {['simulator', 'hardware'].map(backend => (
+              <span key={backend} className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  name="quantum-backend"
+                  value={backend}
+                  checked={draft.backend === backend}
+                  disabled={!quantum}
+                  onChange={() => update({ backend })}
+                />
+                {backend === 'simulator' ? 'Simulator' : 'Hardware (queued on IBM Quantum)'}
+              </span>
+            ))}
+          </span>
+        </label>
+      </div>
+
+      {local && (
+        <p className="text-xs text-gray-500 mt-3">Runs the classical DP optimizer in the browser without calling the backend.</p>
+      )}
+      {errors.length > 0 && (
+        <ul className="mt-3 text-xs text-red-600 space-y-1">
+          {errors.map(err => <li key={err}>{err}</li>)}
+        </ul>
+      )}
+
+      <button
+        onClick={() => onApply(draft)}
+        disabled={errors.length > 0 || isRunning}
+        className="mt-4 px-4 py-2 rounded-lg font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-300"
+      >
+        Apply & Reoptimize
+      </button>
+    </div>
+  );
+};
+
+export default SolverPanel;
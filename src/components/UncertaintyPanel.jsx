@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Activity } from 'lucide-react';
+import { BAND_SERIES, defaultImportLimit, scheduleRisk } from '../uncertainty';
+import { optimizeBatterySchedule } from '../optimizer';
+
+const validate = (draft) => {
+  const errors = [];
+  if (!(Number.isInteger(draft.samples) && draft.samples >= 2 && draft.samples <= 200)) {
+    errors.push('Scenarios must be a whole number from 2 to 200.');
+  }
+  if (draft.importLimitMW !== null && !(draft.importLimitMW >= 0)) {
+    errors.push('Import limit must be zero or more MW (leave empty for the default).');
+  }
+  return errors;
+};
+
+const RiskFigure = ({ label, value }) => (
+  <div className="bg-white p-3 rounded-lg border border-gray-200">
+    <p className="text-xs text-gray-600 mb-1">{label}</p>
+    <p className="text-lg font-bold text-gray-800">{value}</p>
+  </div>
+);
+
+const UncertaintyPanel = ({ energyData, quantumResults, settings, isRunning, onApply }) => {
+  const [draft, setDraft] = useState(settings);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  const update = (patch) => setDraft({ ...draft, ...patch });
+  const errors = validate(draft);
+  const risk = quantumResults && quantumResults.risk;
+
+  // In robust mode, what the plain P50 schedule would have risked.
+  const reference = useMemo(() => {
+    if (!risk || settings.mode !== 'robust') return null;
+    const { schedule } = optimizeBatterySchedule(energyData);
+    return scheduleRisk(energyData, schedule, risk.importLimitMW);
+  }, [energyData, risk, settings.mode]);
+
+  const riskData = risk && quantumResults.schedule.map((entry, idx) => ({
+    hour: entry.hour,
+    risk: Math.round(risk.slotRisk[idx] * 100)
+  }));
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-5 border border-gray-200" data-report-chart="Unmet Demand Risk">
+      <h3 className="font-semibold text-gray-700 mb-2 flex items-center gap-2">
+        <Activity className="w-5 h-5 text-blue-600" />
+        Forecast Uncertainty
+      </h3>
+      {energyData.uncertainty && (
+        <p className="text-xs text-gray-500 mb-3">
+          Bands: {BAND_SERIES.map(series => `${series} — ${energyData.uncertainty.sources[series]}`).join(' · ')}
+        </p>
+      )}
+
+      <div className="flex gap-2 mb-3">
+        {[['deterministic', 'Deterministic (P50)'], ['robust', 'Robust (sampled scenarios)']].map(([mode, label]) => (
+          <button
+            key={mode}
+            onClick={() => update({ mode })}
+            className={`px-3 py-1 rounded-lg text-sm font-medium ${
+              draft.mode === mode ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <label className="text-sm text-gray-600">
+          Scenarios
+          <input
+            type="number"
+            min="2"
+            max="200"
+            value={draft.samples}
+            disabled={draft.mode !== 'robust'}
+            onChange={e => update({ samples: e.target.value === '' ? '' : Number(e.target.value) })}
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800 disabled:bg-gray-100 disabled:text-gray-400"
+          />
+        </label>
+        <label className="text-sm text-gray-600">
+          Import limit (MW)
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={draft.importLimitMW ?? ''}
+            placeholder={`${defaultImportLimit(energyData).toLocaleString()} (default)`}
+            onChange={e => update({ importLimitMW: e.target.value === '' ? null : Number(e.target.value) })}
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded bg-white text-gray-800"
+          />
+        </label>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Demand above what renewables, nuclear, the battery and the import limit (gas plus imports by default) can
+        cover counts as unmet. Robust schedules minimise expected cost over the sampled scenarios and are computed
+        by the in-browser DP, since the backend takes a single forecast.
+      </p>
+      {errors.length > 0 && (
+        <ul className="mt-3 text-xs text-red-600 space-y-1">
+          {errors.map(err => <li key={err}>{err}</li>)}
+        </ul>
+      )}
+      <button
+        onClick={() => onApply(draft)}
+        disabled={errors.length > 0 || isRunning}
+        className="mt-3 px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+      >
+        Apply & Reoptimize
+      </button>
+
+      {risk && (
+        <div className="mt-4">
+          <p className="text-sm font-semibold text-gray-700 mb-2">
+            Unmet demand across {risk.samples} sampled scenarios ({risk.importLimitMW.toLocaleString()} MW import limit)
+          </p>
+          <div className="grid grid-cols-2 gap-3">
+            <RiskFigure label="Scenarios with unmet demand" value={`${risk.scenarioShare}%`} />
+            <RiskFigure label="Slots short (all scenarios)" value={`${risk.slotShare}%`} />
+            <RiskFigure label="Expected unmet energy" value={`${risk.expectedUnmetMWh.toLocaleString()} MWh`} />
+            <RiskFigure label="Worst shortfall" value={`${risk.worstUnmetMW.toLocaleString()} MW`} />
+          </div>
+          {reference && (
+            <p className="text-xs text-gray-600 mt-2">
+              The deterministic P50 schedule leaves demand unmet in {reference.scenarioShare}% of scenarios
+              ({reference.expectedUnmetMWh.toLocaleString()} MWh expected).
+            </p>
+          )}
+          {risk.slotRisk.some(p => p > 0) && (
+            <ResponsiveContainer width="100%" height={120}>
+              <BarChart data={riskData} margin={{ top: 12 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="hour" tick={{fontSize: 11}} stroke="#6b7280" />
+                <YAxis tick={{fontSize: 11}} stroke="#6b7280" unit="%" />
+                <Tooltip formatter={value => [`${value}%`, 'Chance of unmet demand']} />
+                <Bar dataKey="risk" fill="#ef4444" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UncertaintyPanel;
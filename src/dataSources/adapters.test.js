@@ -0,0 +1,154 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { isoDataSources, fetchAdapterRecords, loadEnergyData } from './index';
+import { parseTimestamp, atTime, operatorDay } from './common';
+import { regions } from '../regions';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Recorded responses per adapter, keyed like adapter.requests().
+const FIXTURES = {
+  caiso: { fuelMix: 'caiso-fuelsource.csv', demand: 'caiso-demand.csv' },
+  ercot: { fuelMix: 'ercot-fuel-mix.json', demand: 'ercot-supply-demand.json' },
+  nyiso: { fuelMix: 'nyiso-rtfuelmix.csv', demand: 'nyiso-pal.csv' },
+  isone: { fuelMix: 'isone-genfuelmix.json', demand: 'isone-fiveminutesystemload.json' },
+  miso: { demand: 'miso-totalload.json' },
+  pjm: { fuelMix: 'pjm-gen_by_fuel.json', demand: 'pjm-inst_load.json' },
+  spp: { fuelMix: 'spp-genmix.csv' },
+  bpa: { fuelMix: 'bpa-baltwg.txt' }
+};
+
+// What each fixture parses to: the first record's instant (midnight on the
+// operator's wall clock), record count, the first record's series and the
+// first demand reading.
+const EXPECTED = {
+  caiso: { at: '2024-05-01T07:00:00.000Z', records: 48, first: { solar: 0, wind: 3000, hydro: 3600 }, demand: 25500 },
+  ercot: { at: '2024-05-01T05:00:00.000Z', records: 48, first: { solar: 0, wind: 10000, hydro: 150 }, demand: 40800 },
+  nyiso: { at: '2024-05-01T04:00:00.000Z', records: 48, first: { wind: 1000, hydro: 3000 }, demand: 15300 },
+  isone: { at: '2024-05-01T04:00:00.000Z', records: 48, first: { solar: 0, wind: 600, hydro: 900 }, demand: 11900 },
+  miso: { at: '2024-05-01T05:00:00.000Z', records: 24, first: { demand: 63750 }, demand: 63750 },
+  pjm: { at: '2024-05-01T04:00:00.000Z', records: 48, first: { solar: 0, wind: 2500, hydro: 1200 }, demand: 76500 },
+  spp: { at: '2024-05-01T00:00:00.000Z', records: 24, first: { solar: 100, wind: 8500, hydro: 1100, demand: 35632 }, demand: 35632 },
+  bpa: { at: '2024-05-01T07:00:00.000Z', records: 48, first: { wind: 1500, hydro: 7000, demand: 5950 }, demand: 5950 }
+};
+
+const DATE = new Date(2024, 4, 1);
+// Midday on May 1 for every operator, wherever the tests run.
+const NOW = new Date('2024-05-01T19:00:00Z');
+
+const rawFor = adapter => Object.fromEntries(
+  Object.keys(adapter.requests(DATE)).map(key => [key, fixture(FIXTURES[adapter.id][key])])
+);
+
+describe.each(isoDataSources.map(adapter => [adapter.id, adapter]))('%s adapter', (id, adapter) => {
+  it('requests only files there are fixtures for', () => {
+    expect(Object.keys(adapter.requests(DATE)).sort()).toEqual(Object.keys(FIXTURES[id]).sort());
+  });
+
+  it('parses its fixtures into timestamped records for every declared series', () => {
+    const records = adapter.parse(rawFor(adapter), DATE);
+    const expected = EXPECTED[id];
+    expect(records).toHaveLength(expected.records);
+    expect(records[0].timestamp.toISOString()).toBe(expected.at);
+    expect(records[0]).toMatchObject(expected.first);
+    expect(records.find(record => record.demand !== undefined).demand).toBe(expected.demand);
+    records.forEach((record) => {
+      expect(Number.isNaN(new Date(record.timestamp).getTime())).toBe(false);
+    });
+    adapter.series.forEach((series) => {
+      const values = records.map(record => record[series]).filter(value => value !== undefined);
+      expect(values.length).toBeGreaterThan(0);
+      values.forEach(value => expect(Number.isFinite(value)).toBe(true));
+    });
+  });
+
+  it('tolerates missing responses', () => {
+    expect(adapter.parse({}, DATE)).toEqual([]);
+  });
+});
+
+const fixtureFetch = adapter => async (url) => {
+  const key = Object.entries(adapter.requests(DATE)).find(([, requestUrl]) => requestUrl === url);
+  return key
+    ? { ok: true, status: 200, text: async () => fixture(FIXTURES[adapter.id][key[0]]) }
+    : { ok: false, status: 404, text: async () => '' };
+};
+
+describe('loadEnergyData', () => {
+  it('overlays adapter records on the simulated horizon', async () => {
+    const adapter = isoDataSources.find(source => source.id === 'caiso');
+    const regionInfo = regions.find(region => region.id === adapter.regionId);
+    const data = await loadEnergyData(regionInfo, { source: 'caiso', now: NOW, fetchImpl: fixtureFetch(adapter) });
+
+    expect(data.dataSource).toBe(adapter.name);
+    expect(data.sourceError).toBeUndefined();
+    data.hourly.forEach(entry => expect(entry.total).toBe(entry.solar + entry.wind + entry.hydro));
+    expect(data.current.demand).toBe(data.hourly[0].demand);
+  });
+
+  it('falls back to simulated data when the feed is unavailable', async () => {
+    const regionInfo = regions.find(region => region.id === 'texas');
+    const data = await loadEnergyData(regionInfo, {
+      source: 'ercot',
+      now: NOW,
+      fetchImpl: async () => ({ ok: false, status: 503, text: async () => '' })
+    });
+
+    expect(data.sourceError).toMatch(/unavailable/);
+    expect(data.hourly).toHaveLength(24);
+  });
+});
+
+describe('fetchAdapterRecords', () => {
+  it('fetches each file once per day and parses it', async () => {
+    const adapter = isoDataSources.find(source => source.id === 'spp');
+    const urls = [];
+    const fetchImpl = async (url) => {
+      urls.push(url);
+      return fixtureFetch(adapter)(url);
+    };
+    const records = await fetchAdapterRecords(adapter, { now: NOW, fetchImpl });
+
+    expect(records.length).toBeGreaterThan(0);
+    expect(new Set(urls).size).toBe(urls.length);
+  });
+
+  it("asks for the operator's calendar days, not the viewer's", async () => {
+    const adapter = isoDataSources.find(source => source.id === 'caiso');
+    const urls = [];
+    const fetchImpl = async (url) => {
+      urls.push(url);
+      return { ok: false, status: 404, text: async () => '' };
+    };
+    // 8 pm on April 30 in California, already May 1 in UTC and further east.
+    await fetchAdapterRecords(adapter, { now: new Date('2024-05-01T03:00:00Z'), fetchImpl }).catch(() => {});
+
+    expect(urls.some(url => url.includes('/20240430/'))).toBe(true);
+    expect(urls.some(url => url.includes('/20240429/'))).toBe(true);
+    expect(urls.some(url => url.includes('/20240501/'))).toBe(false);
+  });
+});
+
+describe('operatorDay', () => {
+  it('follows the calendar in the given zone', () => {
+    const instant = new Date('2024-05-01T03:00:00Z');
+    const day = operatorDay(instant, 'America/Los_Angeles');
+    expect([day.getFullYear(), day.getMonth(), day.getDate(), day.getHours()]).toEqual([2024, 3, 30, 0]);
+    expect(operatorDay(instant, 'UTC').getDate()).toBe(1);
+    expect(operatorDay(instant, 'UTC', 1).getDate()).toBe(30);
+  });
+});
+
+describe('parseTimestamp', () => {
+  it('reads wall-clock strings in the given zone, across DST changes', () => {
+    expect(parseTimestamp('01/15/2024 00:00', 'America/New_York').toISOString()).toBe('2024-01-15T05:00:00.000Z');
+    expect(parseTimestamp('2024-07-15T00:00:00', 'America/New_York').toISOString()).toBe('2024-07-15T04:00:00.000Z');
+    expect(parseTimestamp('2024-03-10 03:00', 'America/Los_Angeles').toISOString()).toBe('2024-03-10T10:00:00.000Z');
+    expect(atTime(new Date(2024, 10, 3), '12:30', 'Etc/GMT+5').toISOString()).toBe('2024-11-03T17:30:00.000Z');
+  });
+
+  it('keeps an explicit offset over the zone', () => {
+    expect(parseTimestamp('2024-05-01 00:00:00-0500', 'UTC').toISOString()).toBe('2024-05-01T05:00:00.000Z');
+    expect(parseTimestamp('2024-05-01T00:00:00Z', 'America/Chicago').toISOString()).toBe('2024-05-01T00:00:00.000Z');
+  });
+});
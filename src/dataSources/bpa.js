@@ -0,0 +1,30 @@
+import { parseCsv, toNumber, parseTimestamp } from './common';
+
+// BPA balancing authority totals (5-minute, Pacific time, rolling 7 days).
+// Tab-separated after a few lines of notes:
+// Date/Time	Load	Wind	Hydro	Fossil/Biomass	Nuclear
+const BASE_URL = 'https://transmission.bpa.gov/business/operations/Wind';
+const TIME_ZONE = 'America/Los_Angeles';
+
+export const parseBpa = ({ fuelMix }) => (
+  parseCsv(fuelMix || '', { delimiter: '\t', headerMatch: /^Date\/Time\t/ }).map(row => ({
+    timestamp: parseTimestamp(row['Date/Time'], TIME_ZONE),
+    wind: toNumber(row.Wind),
+    hydro: toNumber(row.Hydro),
+    demand: toNumber(row.Load)
+  }))
+);
+
+export default {
+  id: 'bpa',
+  name: 'BPA Balancing Authority',
+  shortName: 'BPA',
+  regionId: 'northwest',
+  timeZone: TIME_ZONE,
+  series: ['wind', 'hydro', 'demand'],
+  days: 1,
+  requests: (date, baseUrl = BASE_URL) => ({
+    fuelMix: `${baseUrl}/baltwg.txt`
+  }),
+  parse: parseBpa
+};
@@ -0,0 +1,39 @@
+import { parseCsv, toNumber, sumNumbers, atTime, compactDate } from './common';
+
+// CAISO Today's Outlook daily history files (5-minute, Pacific time).
+// fuelsource.csv: Time,Solar,Wind,Geothermal,...,Small hydro,...,Large Hydro,...
+// demand.csv:     Time,Day ahead forecast,Hour ahead forecast,Current demand
+const BASE_URL = 'https://www.caiso.com/outlook/SP/History';
+const TIME_ZONE = 'America/Los_Angeles';
+
+export const parseCaiso = ({ fuelMix, demand }, date) => {
+  const records = [];
+  parseCsv(fuelMix || '').forEach((row) => {
+    records.push({
+      timestamp: atTime(date, row.Time, TIME_ZONE),
+      solar: toNumber(row.Solar),
+      wind: toNumber(row.Wind),
+      hydro: sumNumbers(row['Small hydro'], row['Large Hydro'])
+    });
+  });
+  parseCsv(demand || '').forEach((row) => {
+    const value = toNumber(row['Current demand']);
+    if (value !== undefined) records.push({ timestamp: atTime(date, row.Time, TIME_ZONE), demand: value });
+  });
+  return records;
+};
+
+export default {
+  id: 'caiso',
+  name: "CAISO Today's Outlook",
+  shortName: 'CAISO',
+  regionId: 'california',
+  timeZone: TIME_ZONE,
+  series: ['solar', 'wind', 'hydro', 'demand'],
+  days: 2,
+  requests: (date, baseUrl = BASE_URL) => ({
+    fuelMix: `${baseUrl}/${compactDate(date)}/fuelsource.csv`,
+    demand: `${baseUrl}/${compactDate(date)}/demand.csv`
+  }),
+  parse: parseCaiso
+};
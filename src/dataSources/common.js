@@ -0,0 +1,171 @@
+export const SERIES = ['solar', 'wind', 'hydro', 'demand'];
+
+const splitCsvLine = (line, delimiter) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+// Rows as objects keyed by the header line. `headerMatch` skips preamble
+// lines (BPA publishes a few lines of notes before its header).
+export const parseCsv = (text, { delimiter = ',', headerMatch = null } = {}) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const headerIndex = headerMatch ? lines.findIndex(line => headerMatch.test(line)) : 0;
+  if (headerIndex < 0 || headerIndex >= lines.length) return [];
+  const header = splitCsvLine(lines[headerIndex], delimiter);
+  return lines.slice(headerIndex + 1).map((line) => {
+    const cells = splitCsvLine(line, delimiter);
+    return Object.fromEntries(header.map((key, idx) => [key, cells[idx]]));
+  });
+};
+
+export const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(n) ? n : undefined;
+};
+
+export const sumNumbers = (...values) => {
+  const present = values.map(toNumber).filter(v => v !== undefined);
+  return present.length ? present.reduce((a, b) => a + b, 0) : undefined;
+};
+
+// Calendar date and wall-clock time of `instant` in `timeZone`.
+const wallClockParts = (instant, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(instant).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return parts;
+};
+
+// Minutes `timeZone` is ahead of UTC at `instant`.
+const zoneOffsetMinutes = (instant, timeZone) => {
+  const parts = wallClockParts(instant, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((wallClock - instant.getTime()) / 60000);
+};
+
+// The instant a wall-clock time in `timeZone` refers to. Without a zone the
+// wall clock is the browser's. The second pass settles times near a DST change.
+export const zonedDate = (year, month, day, hour, minute, timeZone) => {
+  if (!timeZone) return new Date(year, month, day, hour, minute);
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const guess = wallClock - zoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  return new Date(wallClock - zoneOffsetMinutes(new Date(guess), timeZone) * 60000);
+};
+
+// Local midnight of the calendar day it is in `timeZone` at `instant`, `daysBack`
+// days earlier. Adapters build file names and wall-clock times from its
+// year/month/date, so it has to be the operator's day, not the viewer's.
+export const operatorDay = (instant, timeZone, daysBack = 0) => {
+  if (!timeZone) return new Date(instant.getFullYear(), instant.getMonth(), instant.getDate() - daysBack);
+  const { year, month, day } = wallClockParts(instant, timeZone);
+  return new Date(year, month - 1, day - daysBack);
+};
+
+// ISO timestamps come as `MM/DD/YYYY HH:MM[:SS]` or `YYYY-MM-DD[T ]HH:MM[:SS]`,
+// sometimes with an offset. Wall-clock strings are read in the operator's
+// `timeZone` so every adapter lands on the same absolute instants.
+export const parseTimestamp = (value, timeZone) => {
+  if (!value) return null;
+  const str = String(value).trim();
+  let m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})/);
+  if (m) return zonedDate(+m[3], +m[1] - 1, +m[2], +m[4], +m[5], timeZone);
+  m = str.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (!m) return null;
+  if (m[7]) {
+    const offset = m[7] === 'Z' ? 'Z' : `${m[7].slice(0, 3)}:${m[7].slice(-2)}`;
+    return new Date(`${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6] || '00'}${offset}`);
+  }
+  return zonedDate(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], timeZone);
+};
+
+// `hhmm` on the calendar day of `date`, read in `timeZone`.
+export const atTime = (date, hhmm, timeZone) => {
+  const [h, min] = String(hhmm).split(':').map(Number);
+  return zonedDate(date.getFullYear(), date.getMonth(), date.getDate(), h, min || 0, timeZone);
+};
+
+export const compactDate = (date) => (
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`
+);
+
+export const dashedDate = (date) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+// Collapses interval records ({ timestamp, solar?, wind?, hydro?, demand? })
+// into hourly averages and keeps, for every hour of the day, the most recent
+// day observed. Used as a persistence forecast for the next 24 hours.
+export const latestByHourOfDay = (records) => {
+  const buckets = new Map();
+  records.forEach((record) => {
+    if (!record.timestamp || isNaN(record.timestamp)) return;
+    const t = record.timestamp;
+    const key = new Date(t.getFullYear(), t.getMonth(), t.getDate(), t.getHours()).getTime();
+    if (!buckets.has(key)) buckets.set(key, {});
+    const bucket = buckets.get(key);
+    SERIES.forEach((series) => {
+      if (record[series] === undefined) return;
+      bucket[series] = bucket[series] || { sum: 0, count: 0 };
+      bucket[series].sum += record[series];
+      bucket[series].count += 1;
+    });
+  });
+
+  const byHour = {};
+  [...buckets.keys()].sort((a, b) => a - b).forEach((key) => {
+    const hour = new Date(key).getHours();
+    const bucket = buckets.get(key);
+    byHour[hour] = { ...byHour[hour] };
+    Object.entries(bucket).forEach(([series, { sum, count }]) => {
+      byHour[hour][series] = Math.round(sum / count);
+    });
+  });
+  return byHour;
+};
+
+// Groups long-format fuel-mix rows (one row per timestamp and fuel) into
+// one record per timestamp.
+export const pivotFuelMix = (rows, { time, fuel, value, mapping, timeZone }) => {
+  const byTime = new Map();
+  rows.forEach((row) => {
+    const series = mapping[row[fuel]];
+    const mw = toNumber(row[value]);
+    if (!series || mw === undefined) return;
+    const key = row[time];
+    if (!byTime.has(key)) byTime.set(key, { timestamp: parseTimestamp(key, timeZone) });
+    const record = byTime.get(key);
+    record[series] = (record[series] || 0) + mw;
+  });
+  return [...byTime.values()];
+};
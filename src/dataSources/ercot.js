@@ -0,0 +1,46 @@
+import { toNumber, parseTimestamp } from './common';
+
+// ERCOT public dashboards (5-minute, Central time, rolling window of the
+// last couple of days, so a single fetch is enough).
+// fuel-mix.json:     { data: { "YYYY-MM-DD": { "<timestamp>": { Solar: { gen }, Wind: { gen }, Hydro: { gen }, ... } } } }
+// supply-demand.json: { data: [ { timestamp, demand, ... } ] }
+const BASE_URL = 'https://www.ercot.com/api/1/services/read/dashboards';
+const TIME_ZONE = 'America/Chicago';
+
+export const parseErcot = ({ fuelMix, demand }) => {
+  const records = [];
+  if (fuelMix) {
+    Object.values(JSON.parse(fuelMix).data || {}).forEach((day) => {
+      Object.entries(day).forEach(([timestamp, fuels]) => {
+        records.push({
+          timestamp: parseTimestamp(timestamp, TIME_ZONE),
+          solar: toNumber(fuels.Solar && fuels.Solar.gen),
+          wind: toNumber(fuels.Wind && fuels.Wind.gen),
+          hydro: toNumber(fuels.Hydro && fuels.Hydro.gen)
+        });
+      });
+    });
+  }
+  if (demand) {
+    (JSON.parse(demand).data || []).forEach((row) => {
+      const value = toNumber(row.demand);
+      if (value !== undefined) records.push({ timestamp: parseTimestamp(row.timestamp, TIME_ZONE), demand: value });
+    });
+  }
+  return records;
+};
+
+export default {
+  id: 'ercot',
+  name: 'ERCOT Dashboards',
+  shortName: 'ERCOT',
+  regionId: 'texas',
+  timeZone: TIME_ZONE,
+  series: ['solar', 'wind', 'hydro', 'demand'],
+  days: 1,
+  requests: (date, baseUrl = BASE_URL) => ({
+    fuelMix: `${baseUrl}/fuel-mix.json`,
+    demand: `${baseUrl}/supply-demand.json`
+  }),
+  parse: parseErcot
+};
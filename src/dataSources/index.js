@@ -0,0 +1,128 @@
+import simulator, { simulateEnergyData } from './simulator';
+import caiso from './caiso';
+import ercot from './ercot';
+import nyiso from './nyiso';
+import isone from './isone';
+import miso from './miso';
+import pjm from './pjm';
+import spp from './spp';
+import bpa from './bpa';
+import { SERIES, latestByHourOfDay, operatorDay } from './common';
+import { hourOfDay } from '../timeSeries';
+
+// Every adapter exposes the same shape:
+//   { id, name, shortName, regionId, series, days, requests(date, baseUrl), parse(raw, date) }
+// `requests` names the files to fetch for one day, `parse` turns their text
+// into interval records ({ timestamp, solar?, wind?, hydro?, demand? }).
+// Parsers are pure so they can be exercised against the files in ./fixtures.
+export const isoDataSources = [caiso, ercot, nyiso, isone, miso, pjm, spp, bpa];
+
+export const getRegionDataSources = (regionId) => [
+  simulator,
+  ...isoDataSources.filter(source => source.regionId === regionId)
+];
+
+// `apiKeys` holds the keys from settings; adapters that need one build their
+// request headers from it.
+export const fetchAdapterRecords = async (adapter, { now = new Date(), fetchImpl = fetch, baseUrl, headers = {}, apiKeys = {} } = {}) => {
+  const requestHeaders = { ...(adapter.headers ? adapter.headers(apiKeys) : {}), ...headers };
+  const responses = new Map();
+  const fetchText = (url) => {
+    if (!responses.has(url)) {
+      responses.set(url, fetchImpl(url, { headers: requestHeaders }).then((response) => {
+        if (!response.ok) {
+          throw new Error(`${adapter.shortName} returned ${response.status}`);
+        }
+        return response.text();
+      }));
+    }
+    return responses.get(url);
+  };
+
+  const records = [];
+  let lastError = null;
+  for (let daysBack = adapter.days - 1; daysBack >= 0; daysBack--) {
+    const date = operatorDay(now, adapter.timeZone, daysBack);
+    try {
+      const raw = {};
+      for (const [key, url] of Object.entries(adapter.requests(date, baseUrl))) {
+        raw[key] = await fetchText(url);
+      }
+      records.push(...adapter.parse(raw, date));
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  if (!records.length) {
+    throw lastError || new Error(`${adapter.shortName} returned no data`);
+  }
+  return records;
+};
+
+// Replaces the simulated series with observed values for the same hour of
+// day and records, per series, where the numbers came from.
+export const overlayRecords = (energyData, adapter, records) => {
+  const byHour = latestByHourOfDay(records);
+  const covered = Object.fromEntries(SERIES.map(series => [series, 0]));
+
+  const hourly = energyData.hourly.map((entry) => {
+    const observed = byHour[hourOfDay(entry)] || {};
+    const next = { ...entry };
+    SERIES.forEach((series) => {
+      if (observed[series] !== undefined) {
+        next[series] = observed[series];
+        covered[series] += 1;
+      }
+    });
+    next.total = next.solar + next.wind + next.hydro;
+    return next;
+  });
+
+  const sources = { ...energyData.sources };
+  SERIES.forEach((series) => {
+    if (covered[series] === hourly.length) {
+      sources[series] = adapter.name;
+    } else if (covered[series] > 0) {
+      sources[series] = `${adapter.shortName} (${Math.round(covered[series] / hourly.length * 100)}%) + ${sources[series]}`;
+    }
+  });
+
+  return {
+    ...energyData,
+    current: {
+      solar: hourly[0].solar,
+      wind: hourly[0].wind,
+      hydro: hourly[0].hydro,
+      total: hourly[0].total,
+      demand: hourly[0].demand
+    },
+    hourly,
+    dataSource: adapter.name,
+    sources
+  };
+};
+
+export const loadEnergyData = async (regionInfo, {
+  source = 'simulator',
+  nrelData,
+  battery,
+  now = new Date(),
+  horizonHours,
+  resolutionMinutes,
+  ...fetchOptions
+} = {}) => {
+  const data = simulateEnergyData(regionInfo, { nrelData, battery, now, horizonHours, resolutionMinutes });
+  const adapter = isoDataSources.find(s => s.id === source);
+  if (!adapter) return data;
+
+  try {
+    console.log(`📡 Fetching ${adapter.name} data...`);
+    const records = await fetchAdapterRecords(adapter, { now, ...fetchOptions });
+    console.log(`✅ ${adapter.name}: ${records.length} records`);
+    return overlayRecords(data, adapter, records);
+  } catch (error) {
+    console.error(`❌ ${adapter.name} error:`, error);
+    return { ...data, sourceError: `${adapter.name} unavailable (${error.message}); showing simulated data.` };
+  }
+};
@@ -0,0 +1,41 @@
+import { toNumber, parseTimestamp, pivotFuelMix, compactDate } from './common';
+
+// ISO-NE web services, JSON flavour (Eastern time, offsets included).
+// genfuelmix:          { GenFuelMixes: { GenFuelMix: [ { BeginDate, GenMw, FuelCategory } ] } }
+// fiveminutesystemload: { FiveMinSystemLoads: { FiveMinSystemLoad: [ { BeginDate, LoadMw } ] } }
+const BASE_URL = 'https://webservices.iso-ne.com/api/v1.1';
+const TIME_ZONE = 'America/New_York';
+
+export const parseIsone = ({ fuelMix, demand }) => {
+  const mix = fuelMix ? JSON.parse(fuelMix) : {};
+  const records = pivotFuelMix((mix.GenFuelMixes && mix.GenFuelMixes.GenFuelMix) || [], {
+    time: 'BeginDate',
+    fuel: 'FuelCategory',
+    value: 'GenMw',
+    mapping: { Solar: 'solar', Wind: 'wind', Hydro: 'hydro' },
+    timeZone: TIME_ZONE
+  });
+
+  const load = demand ? JSON.parse(demand) : {};
+  ((load.FiveMinSystemLoads && load.FiveMinSystemLoads.FiveMinSystemLoad) || []).forEach((row) => {
+    const value = toNumber(row.LoadMw);
+    if (value !== undefined) records.push({ timestamp: parseTimestamp(row.BeginDate, TIME_ZONE), demand: value });
+  });
+
+  return records;
+};
+
+export default {
+  id: 'isone',
+  name: 'ISO-NE Web Services',
+  shortName: 'ISO-NE',
+  regionId: 'newengland',
+  timeZone: TIME_ZONE,
+  series: ['solar', 'wind', 'hydro', 'demand'],
+  days: 2,
+  requests: (date, baseUrl = BASE_URL) => ({
+    fuelMix: `${baseUrl}/genfuelmix/day/${compactDate(date)}.json`,
+    demand: `${baseUrl}/fiveminutesystemload/day/${compactDate(date)}.json`
+  }),
+  parse: parseIsone
+};
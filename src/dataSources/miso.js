@@ -0,0 +1,32 @@
+import { toNumber, atTime } from './common';
+
+// MISO real-time data broker (Eastern standard time). Only the current day's
+// five-minute load is published as a series; the fuel mix is a single
+// snapshot, so generation stays with the simulator.
+// gettotalload: { LoadInfo: { FiveMinTotalLoad: [ { Load: { Time: "HH:MM", Value } } ] } }
+const BASE_URL = 'https://api.misoenergy.org/MISORTWDDataBroker/DataBrokerServices.asmx';
+// IANA zones invert the sign: Etc/GMT+5 is UTC-05:00.
+const TIME_ZONE = 'Etc/GMT+5';
+
+export const parseMiso = ({ demand }, date) => {
+  const data = demand ? JSON.parse(demand) : {};
+  const rows = (data.LoadInfo && data.LoadInfo.FiveMinTotalLoad) || [];
+  return rows
+    .map(row => row.Load || row)
+    .filter(load => toNumber(load.Value) !== undefined)
+    .map(load => ({ timestamp: atTime(date, load.Time, TIME_ZONE), demand: toNumber(load.Value) }));
+};
+
+export default {
+  id: 'miso',
+  name: 'MISO Real-Time Data Broker',
+  shortName: 'MISO',
+  regionId: 'midwest',
+  timeZone: TIME_ZONE,
+  series: ['demand'],
+  days: 1,
+  requests: (date, baseUrl = BASE_URL) => ({
+    demand: `${baseUrl}?messageType=gettotalload&returnType=json`
+  }),
+  parse: parseMiso
+};
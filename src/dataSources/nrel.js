@@ -0,0 +1,41 @@
+import { redactSecrets } from '../settings';
+
+// Only `outputs` is logged: the raw response echoes the request, key included.
+const requestNRELSolarData = async (lat, lon, apiKey, fetchImpl) => {
+  try {
+    console.log('🌞 Fetching real solar data from NREL API...');
+
+    const response = await fetchImpl(
+      `https://developer.nrel.gov/api/solar/solar_resource/v1.json?api_key=${encodeURIComponent(apiKey)}&lat=${lat}&lon=${lon}`
+    );
+
+    if (!response.ok) {
+      throw new Error(`NREL API request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    console.log('✅ Real solar data received from NREL:', data.outputs);
+
+    return data.outputs;
+  } catch (error) {
+    console.error('❌ NREL API error:', redactSecrets(error.message, { nrelApiKey: apiKey }));
+    return null;
+  }
+};
+
+// The solar resource is an annual average, so one successful response per
+// location and key is enough for the session; concurrent callers (live
+// refresh, multi-region loads) share the request in flight.
+const responses = new Map();
+
+export const fetchNRELSolarData = (lat, lon, apiKey, fetchImpl = fetch) => {
+  const key = `${lat},${lon},${apiKey}`;
+  if (!responses.has(key)) {
+    const request = requestNRELSolarData(lat, lon, apiKey, fetchImpl).then((outputs) => {
+      if (!outputs) responses.delete(key);
+      return outputs;
+    });
+    responses.set(key, request);
+  }
+  return responses.get(key);
+};
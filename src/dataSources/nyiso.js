@@ -0,0 +1,43 @@
+import { parseCsv, toNumber, parseTimestamp, pivotFuelMix, compactDate } from './common';
+
+// NYISO MIS daily CSVs (5-minute, Eastern time). NYISO reports solar inside
+// "Other Renewables", so solar stays with the simulator.
+// rtfuelmix.csv: "Time Stamp","Time Zone","Fuel Category","Gen MW"
+// pal.csv:       "Time Stamp","Time Zone","Name","PTID","Load"  (one row per zone)
+const BASE_URL = 'https://mis.nyiso.com/public/csv';
+const TIME_ZONE = 'America/New_York';
+
+export const parseNyiso = ({ fuelMix, demand }) => {
+  const records = pivotFuelMix(parseCsv(fuelMix || ''), {
+    time: 'Time Stamp',
+    fuel: 'Fuel Category',
+    value: 'Gen MW',
+    mapping: { Wind: 'wind', Hydro: 'hydro' },
+    timeZone: TIME_ZONE
+  });
+
+  const load = new Map();
+  parseCsv(demand || '').forEach((row) => {
+    const value = toNumber(row.Load);
+    if (value === undefined) return;
+    load.set(row['Time Stamp'], (load.get(row['Time Stamp']) || 0) + value);
+  });
+  load.forEach((value, key) => records.push({ timestamp: parseTimestamp(key, TIME_ZONE), demand: value }));
+
+  return records;
+};
+
+export default {
+  id: 'nyiso',
+  name: 'NYISO MIS',
+  shortName: 'NYISO',
+  regionId: 'newyork',
+  timeZone: TIME_ZONE,
+  series: ['wind', 'hydro', 'demand'],
+  days: 2,
+  requests: (date, baseUrl = BASE_URL) => ({
+    fuelMix: `${baseUrl}/rtfuelmix/${compactDate(date)}rtfuelmix.csv`,
+    demand: `${baseUrl}/pal/${compactDate(date)}pal.csv`
+  }),
+  parse: parseNyiso
+};
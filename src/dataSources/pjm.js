@@ -0,0 +1,45 @@
+import { toNumber, parseTimestamp, pivotFuelMix, dashedDate } from './common';
+
+// PJM Data Miner 2 feeds (hourly generation, instantaneous load; EPT).
+// Requests need an `Ocp-Apim-Subscription-Key` header (see `headers`).
+// gen_by_fuel: { items: [ { datetime_beginning_ept, fuel_type, mw } ] }
+// inst_load:   { items: [ { datetime_beginning_ept, area, instantaneous_load } ] }
+const BASE_URL = 'https://api.pjm.com/api/v1';
+const TIME_ZONE = 'America/New_York';
+
+export const parsePjm = ({ fuelMix, demand }) => {
+  const mix = fuelMix ? JSON.parse(fuelMix) : {};
+  const records = pivotFuelMix(mix.items || [], {
+    time: 'datetime_beginning_ept',
+    fuel: 'fuel_type',
+    value: 'mw',
+    mapping: { Solar: 'solar', Wind: 'wind', Hydro: 'hydro' },
+    timeZone: TIME_ZONE
+  });
+
+  const load = demand ? JSON.parse(demand) : {};
+  (load.items || [])
+    .filter(row => row.area === 'PJM RTO')
+    .forEach((row) => {
+      const value = toNumber(row.instantaneous_load);
+      if (value !== undefined) records.push({ timestamp: parseTimestamp(row.datetime_beginning_ept, TIME_ZONE), demand: value });
+    });
+
+  return records;
+};
+
+export default {
+  id: 'pjm',
+  name: 'PJM Data Miner 2',
+  shortName: 'PJM',
+  regionId: 'pjm',
+  timeZone: TIME_ZONE,
+  series: ['solar', 'wind', 'hydro', 'demand'],
+  days: 2,
+  requests: (date, baseUrl = BASE_URL) => ({
+    fuelMix: `${baseUrl}/gen_by_fuel?rowCount=1000&datetime_beginning_ept=${dashedDate(date)}`,
+    demand: `${baseUrl}/inst_load?rowCount=50000&area=PJM%20RTO&datetime_beginning_ept=${dashedDate(date)}`
+  }),
+  headers: ({ pjmApiKey }) => (pjmApiKey ? { 'Ocp-Apim-Subscription-Key': pjmApiKey } : {}),
+  parse: parsePjm
+};
@@ -0,0 +1,31 @@
+import { parseCsv, toNumber, sumNumbers, parseTimestamp } from './common';
+
+// SPP Marketplace generation mix (5-minute, GMT timestamps). Each fuel is
+// split into Market and Self-scheduled columns.
+// GMTTime,...,Hydro Market,Hydro Self,...,Solar Market,Solar Self,Wind Market,Wind Self,...,Load
+const BASE_URL = 'https://marketplace.spp.org/chart-api/gen-mix';
+const TIME_ZONE = 'UTC';
+
+export const parseSpp = ({ fuelMix }) => (
+  parseCsv(fuelMix || '').map(row => ({
+    timestamp: parseTimestamp(row.GMTTime, TIME_ZONE),
+    solar: sumNumbers(row['Solar Market'], row['Solar Self']),
+    wind: sumNumbers(row['Wind Market'], row['Wind Self']),
+    hydro: sumNumbers(row['Hydro Market'], row['Hydro Self']),
+    demand: toNumber(row.Load)
+  }))
+);
+
+export default {
+  id: 'spp',
+  name: 'SPP Marketplace',
+  shortName: 'SPP',
+  regionId: 'southwest',
+  timeZone: TIME_ZONE,
+  series: ['solar', 'wind', 'hydro', 'demand'],
+  days: 1,
+  requests: (date, baseUrl = BASE_URL) => ({
+    fuelMix: `${baseUrl}/asFile`
+  }),
+  parse: parseSpp
+};
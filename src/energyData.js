@@ -0,0 +1,51 @@
+import { regions } from './regions';
+import { fetchNRELSolarData } from './dataSources/nrel';
+import { loadEnergyData } from './dataSources';
+import { buildEnergyDataFromProfile } from './profileImport';
+import { applyPriceSignals } from './pricing';
+import { addGenerationMix } from './generationMix';
+import { addUncertaintyBands } from './uncertainty';
+import { DEFAULT_HORIZON } from './timeSeries';
+
+// energyData for a region, or for an imported profile when regionId is
+// 'custom': the raw series, then the generation mix, price and carbon
+// signals and forecast bands every view expects. No component state is
+// touched, so the dashboard, live refresh, multi-region runs and the offline
+// cache all get the same shape. `fetchImpl` reaches NREL and the ISO feeds.
+export const generateEnergyData = async (regionId, {
+  profile,
+  battery,
+  pricing,
+  source = 'simulator',
+  horizon = DEFAULT_HORIZON,
+  nrelApiKey,
+  pjmApiKey,
+  now = new Date(),
+  fetchImpl = fetch
+} = {}) => {
+  if (regionId === 'custom') {
+    const data = buildEnergyDataFromProfile(profile, { battery, now });
+    return addUncertaintyBands(applyPriceSignals(addGenerationMix({ ...data, regionId }, regionId), regionId, pricing));
+  }
+
+  const regionInfo = regions.find(r => r.id === regionId);
+  const nrelData = nrelApiKey
+    ? await fetchNRELSolarData(regionInfo.lat, regionInfo.lon, nrelApiKey, fetchImpl)
+    : null;
+
+  const data = await loadEnergyData(regionInfo, {
+    source,
+    nrelData,
+    battery,
+    now,
+    horizonHours: horizon.hours,
+    resolutionMinutes: horizon.resolutionMinutes,
+    apiKeys: { pjmApiKey },
+    fetchImpl
+  });
+
+  if (data.usingRealSolarData) {
+    console.log(`✅ Using real NREL solar data for ${regionInfo.name}: GHI=${nrelData.avg_ghi.annual.toFixed(2)} kWh/m²/day`);
+  }
+  return addUncertaintyBands(applyPriceSignals(addGenerationMix({ ...data, regionId }, regionId), regionId, pricing));
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { generateEnergyData } from './energyData';
+import { parseProfile } from './profileImport';
+import { regions } from './regions';
+
+const NOW = new Date(2024, 4, 1, 10, 20);
+const offline = async () => ({ ok: false, status: 503, json: async () => ({}), text: async () => '' });
+
+const profileCsv = [
+  'hour,solar,wind,hydro,demand,demand_p10,demand_p90',
+  ...Array.from({ length: 24 }, (_, hour) => {
+    const demand = 1000 + hour * 10;
+    return `${hour},${hour >= 6 && hour <= 18 ? 300 : 0},200,100,${demand},${demand - 50},${demand + 50}`;
+  })
+].join('\n');
+
+describe('generateEnergyData', () => {
+  it('is deterministic for a region, time and settings', async () => {
+    const options = { now: NOW, fetchImpl: offline };
+    const a = await generateEnergyData('texas', options);
+    const b = await generateEnergyData('texas', options);
+    expect(a).toEqual(b);
+  });
+
+  it('builds the full model for a simulated region', async () => {
+    const data = await generateEnergyData('california', { now: NOW, fetchImpl: offline });
+
+    expect(data.hourly).toHaveLength(24);
+    expect(data.hourly[0].timestamp).toBe(new Date(2024, 4, 1, 10).toISOString());
+    data.hourly.forEach((entry) => {
+      // The simulator rounds each series and the total separately.
+      expect(Math.abs(entry.total - (entry.solar + entry.wind + entry.hydro))).toBeLessThanOrEqual(1);
+      expect(entry.nuclear).toBe(data.generation.nuclearMW);
+      expect(entry.price).toBeGreaterThan(0);
+      expect(entry.carbonIntensity).toBeGreaterThan(0);
+      expect(entry.solarP10).toBeLessThanOrEqual(entry.solar);
+      expect(entry.solarP90).toBeGreaterThanOrEqual(entry.solar);
+    });
+    expect(data.current.nuclear).toBe(data.generation.nuclearMW);
+    expect(data.generation.gas.capacityMW).toBeGreaterThan(0);
+    expect(data.uncertainty.sources.demand).toBe('Forecast error model');
+  });
+
+  it('follows the horizon and resolution settings', async () => {
+    const data = await generateEnergyData('pjm', {
+      now: NOW,
+      fetchImpl: offline,
+      horizon: { hours: 48, resolutionMinutes: 15 }
+    });
+    expect(data.hourly).toHaveLength(48 * 4);
+    expect(data.resolutionMinutes).toBe(15);
+  });
+
+  it('uses NREL irradiance when the lookup succeeds', async () => {
+    const region = regions.find(r => r.id === 'southwest');
+    const urls = [];
+    const fetchImpl = async (url) => {
+      urls.push(url);
+      return { ok: true, status: 200, json: async () => ({ outputs: { avg_ghi: { annual: 6 } } }) };
+    };
+    const data = await generateEnergyData('southwest', { now: NOW, fetchImpl, nrelApiKey: 'test-key' });
+
+    expect(urls[0]).toContain(`lat=${region.lat}`);
+    expect(data.usingRealSolarData).toBe(true);
+  });
+
+  it('falls back to simulated solar when NREL is unreachable', async () => {
+    const data = await generateEnergyData('newyork', { now: NOW, fetchImpl: offline, nrelApiKey: 'unreachable-key' });
+    expect(data.usingRealSolarData).toBe(false);
+  });
+
+  it('sends the PJM subscription key with PJM requests', async () => {
+    const seen = [];
+    const fetchImpl = async (url, init) => {
+      seen.push({ url, headers: init.headers });
+      return offline();
+    };
+    await generateEnergyData('pjm', { source: 'pjm', now: NOW, fetchImpl, pjmApiKey: 'pjm-key' });
+
+    expect(seen.length).toBeGreaterThan(0);
+    seen.forEach(({ url, headers }) => {
+      expect(url).toContain('api.pjm.com');
+      expect(headers['Ocp-Apim-Subscription-Key']).toBe('pjm-key');
+    });
+  });
+
+  it('builds an imported profile as the custom region', async () => {
+    const profile = { ...parseProfile(profileCsv, 'profile.csv'), name: 'test.csv' };
+    expect(profile.valid).toBe(true);
+    const data = await generateEnergyData('custom', { profile, now: NOW, fetchImpl: offline });
+
+    expect(data.region).toBe('Custom: test.csv');
+    expect(data.hourly).toHaveLength(24);
+    expect(data.generation.nuclearMW).toBe(0);
+    expect(data.uncertainty.sources.demand).toBe('Imported (test.csv)');
+    expect(data.hourly[12].demandP90).toBe(data.hourly[12].demand + 50);
+    expect(data.current.demand).toBe(1100);
+    expect(data.current.solar).toBe(300);
+  });
+});
@@ -0,0 +1,187 @@
+import { describeSolver } from './solver';
+
+// Serialisers for a single optimization run: the energyData that went in and
+// the quantumResults that came back, plus where each of them came from.
+
+export const buildRunExport = (energyData, quantumResults, now = new Date()) => ({
+  exportedAt: now.toISOString(),
+  region: energyData.region,
+  provenance: {
+    backend: quantumResults.usingRealBackend ? 'qiskit' : 'fallback',
+    algorithm: quantumResults.metrics.optimization,
+    solver: quantumResults.solver,
+    usingNrelSolarData: Boolean(energyData.usingRealSolarData),
+    dataSource: energyData.dataSource,
+    sources: energyData.sources,
+    pricing: energyData.pricing,
+    uncertainty: energyData.uncertainty,
+    generation: energyData.generation
+  },
+  energyData,
+  results: {
+    schedule: quantumResults.schedule,
+    recommendations: quantumResults.recommendations,
+    metrics: quantumResults.metrics,
+    summary: quantumResults.summary,
+    risk: quantumResults.risk
+  }
+});
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const CSV_COLUMNS = [
+  'timestamp', 'hour', 'solar', 'wind', 'hydro', 'nuclear', 'demand', 'total',
+  'solarP10', 'solarP90', 'windP10', 'windP90', 'demandP10', 'demandP90', 'price', 'carbonIntensity',
+  'action', 'amount', 'stateOfCharge', 'gridBalance', 'efficiency',
+  'gas', 'imports', 'exports', 'curtailed', 'unserved', 'fossilAvoided',
+  'backend', 'nrelSolar'
+];
+
+export const scheduleToCsv = (runExport) => {
+  const { energyData, results, provenance } = runExport;
+  const rows = results.schedule.map((entry, idx) => {
+    const input = energyData.hourly[idx] || {};
+    return {
+      ...input,
+      ...entry,
+      hour: entry.hour || input.hour,
+      timestamp: entry.timestamp || input.timestamp,
+      backend: provenance.backend,
+      nrelSolar: provenance.usingNrelSolarData
+    };
+  });
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\n');
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const table = (columns, rows) => `
+  <table>
+    <thead><tr>${columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${rows.map(row => `<tr>${columns.map(c => `<td>${escapeHtml(row[c.key])}</td>`).join('')}</tr>`).join('')}
+    </tbody>
+  </table>`;
+
+// `charts` is a list of { title, svg } captured from the rendered recharts.
+export const buildReportHtml = (runExport, charts = []) => {
+  const { provenance, results, energyData } = runExport;
+  const summary = results.summary;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Quantum Energy Scheduler — ${escapeHtml(runExport.region)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #1f2937; margin: 24px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; border-bottom: 2px solid #7c3aed; padding-bottom: 4px; margin-top: 24px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #e5e7eb; padding: 4px 6px; text-align: left; }
+  .meta { font-size: 12px; color: #4b5563; }
+  .chart { page-break-inside: avoid; margin-bottom: 16px; }
+  .chart svg { max-width: 100%; height: auto; }
+  @media print { h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(runExport.region)}</h1>
+  <p class="meta">
+    Exported ${escapeHtml(runExport.exportedAt)} ·
+    Backend: ${provenance.backend === 'qiskit' ? 'Real Qiskit backend' : 'Fallback mode (classical)'} ·
+    Algorithm: ${escapeHtml(provenance.algorithm)} ·${provenance.solver ? `
+    Solver request: ${escapeHtml(describeSolver(provenance.solver))} ·` : ''}
+    Solar: ${provenance.usingNrelSolarData ? 'NREL data' : 'simulated'} ·
+    Data source: ${escapeHtml(provenance.dataSource)}${provenance.pricing ? ` ·
+    Prices: ${escapeHtml(provenance.pricing.tariff)} ·
+    Carbon: ${escapeHtml(provenance.pricing.carbon)}` : ''}
+  </p>
+
+  <h2>Summary</h2>
+  ${table(
+    [{ key: 'label', label: 'Metric' }, { key: 'value', label: 'Value' }],
+    [
+      { label: 'Efficiency Gain', value: `${summary.totalOptimization}%` },
+      { label: 'Cost Savings', value: `$${summary.costSaving.toLocaleString()}` },
+      { label: 'CO₂ Reduction', value: `${summary.carbonReduction}t` },
+      ...(summary.baselineCost != null ? [
+        { label: 'Import Cost (no storage → with storage)', value: `$${summary.baselineCost.toLocaleString()} → $${summary.optimizedCost.toLocaleString()}` },
+        { label: 'Import Emissions (no storage → with storage)', value: `${summary.baselineEmissions.toLocaleString()}t → ${summary.optimizedEmissions.toLocaleString()}t` }
+      ] : []),
+      { label: 'System Efficiency', value: `${summary.efficiency}%` },
+      ...(summary.gasAvoidedMWh != null ? [
+        { label: 'Gas Dispatch (no storage → with storage)', value: `${summary.baselineGasMWh.toLocaleString()} → ${summary.optimizedGasMWh.toLocaleString()} MWh` },
+        { label: 'Fossil Dispatch Avoided', value: `${summary.gasAvoidedMWh.toLocaleString()} MWh gas ($${summary.gasCostAvoided.toLocaleString()}, ${summary.gasEmissionsAvoided.toLocaleString()}t CO₂) · ${summary.importsAvoidedMWh.toLocaleString()} MWh imports` },
+        { label: 'Curtailment (avoided)', value: `${summary.curtailedMWh.toLocaleString()} MWh (${summary.curtailmentAvoidedMWh.toLocaleString()} MWh avoided)` },
+        ...(summary.unservedMWh > 0 ? [{ label: 'Unserved Demand', value: `${summary.unservedMWh.toLocaleString()} MWh` }] : [])
+      ] : []),
+      ...(results.risk ? [
+        {
+          label: `Unmet Demand Risk (${results.risk.samples} samples, ${results.risk.importLimitMW.toLocaleString()} MW import limit)`,
+          value: `${results.risk.scenarioShare}% of scenarios · ${results.risk.expectedUnmetMWh.toLocaleString()} MWh expected`
+        }
+      ] : [])
+    ]
+  )}
+
+  <h2>Metrics</h2>
+  ${table(
+    [{ key: 'key', label: 'Metric' }, { key: 'value', label: 'Value' }],
+    Object.entries(results.metrics).map(([key, value]) => ({ key, value }))
+  )}
+
+  <h2>Charts</h2>
+  ${charts.map(chart => `<div class="chart"><h3>${escapeHtml(chart.title)}</h3>${chart.svg}</div>`).join('')}
+
+  <h2>Battery Schedule</h2>
+  ${table(
+    [
+      { key: 'hour', label: 'Hour' },
+      { key: 'action', label: 'Action' },
+      { key: 'amount', label: 'MW' },
+      { key: 'stateOfCharge', label: 'SoC (MWh)' },
+      { key: 'gridBalance', label: 'Grid Balance (MW)' }
+    ],
+    results.schedule
+  )}
+
+  <h2>Recommendations</h2>
+  ${results.recommendations.length
+    ? table([{ key: 'time', label: 'Time' }, { key: 'severity', label: 'Severity' }, { key: 'type', label: 'Type' }, { key: 'message', label: 'Message' }], results.recommendations)
+    : '<p class="meta">None.</p>'}
+
+  <h2>Input Profile</h2>
+  ${table(
+    ['hour', 'solar', 'wind', 'hydro', 'demand', 'total'].map(key => ({ key, label: key })),
+    energyData.hourly
+  )}
+</body>
+</html>`;
+};
+
+export const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Firefox and Safari abort the download if the URL goes away right after click().
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportFileName = (runExport, extension) => (
+  `${runExport.region.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${runExport.exportedAt.replace(/[:.]/g, '-')}.${extension}`
+);
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { buildRunExport, scheduleToCsv, buildReportHtml, exportFileName } from './exportRun';
+
+const NOW = new Date('2024-05-01T10:20:00Z');
+
+const energyData = {
+  region: 'Texas <ERCOT>',
+  dataSource: 'Simulator',
+  sources: { solar: 'Simulator' },
+  usingRealSolarData: true,
+  hourly: [
+    { hour: '0:00', timestamp: '2024-05-01T00:00:00.000Z', solar: 0, wind: 900, hydro: 50, demand: 1200, total: 950, price: 31.5 },
+    { hour: '1:00', timestamp: '2024-05-01T01:00:00.000Z', solar: 0, wind: 1000, hydro: 50, demand: 1100, total: 1050, price: 29 }
+  ]
+};
+
+const quantumResults = {
+  usingRealBackend: false,
+  metrics: { optimization: 'Classical DP (Fallback Mode)', qubits: 0 },
+  schedule: [
+    { hour: '0:00', action: 'Discharge', amount: 200, stateOfCharge: 800, gridBalance: -50 },
+    { hour: '1:00', action: 'Charge', amount: 100, stateOfCharge: 880, gridBalance: 0 }
+  ],
+  recommendations: [{ time: '0:00', severity: 'warning', type: 'peak', message: 'Peak "shaving", <soon>' }],
+  summary: { totalOptimization: 12, costSaving: 3400, carbonReduction: 5, efficiency: 90 }
+};
+
+const rowsOf = csv => csv.split('\n').map(line => line.split(','));
+
+describe('buildRunExport', () => {
+  it('records where the data and the results came from', () => {
+    const run = buildRunExport(energyData, quantumResults, NOW);
+    expect(run.exportedAt).toBe('2024-05-01T10:20:00.000Z');
+    expect(run.provenance).toMatchObject({
+      backend: 'fallback',
+      algorithm: 'Classical DP (Fallback Mode)',
+      usingNrelSolarData: true,
+      dataSource: 'Simulator'
+    });
+    expect(run.results.schedule).toBe(quantumResults.schedule);
+    expect(run.energyData).toBe(energyData);
+  });
+});
+
+describe('scheduleToCsv', () => {
+  it('writes one row per slot in a fixed column order', () => {
+    const [header, first, second] = rowsOf(scheduleToCsv(buildRunExport(energyData, quantumResults, NOW)));
+    const column = name => header.indexOf(name);
+
+    expect(header.slice(0, 8)).toEqual(['timestamp', 'hour', 'solar', 'wind', 'hydro', 'nuclear', 'demand', 'total']);
+    expect(header.slice(-2)).toEqual(['backend', 'nrelSolar']);
+    expect(first[column('timestamp')]).toBe('2024-05-01T00:00:00.000Z');
+    expect(first[column('wind')]).toBe('900');
+    expect(first[column('price')]).toBe('31.5');
+    expect(first[column('action')]).toBe('Discharge');
+    expect(first[column('nuclear')]).toBe('');
+    expect(second[column('stateOfCharge')]).toBe('880');
+    expect(second[column('backend')]).toBe('fallback');
+    expect(second[column('nrelSolar')]).toBe('true');
+    [first, second].forEach(row => expect(row).toHaveLength(header.length));
+  });
+
+  it('quotes cells with commas, quotes or line breaks', () => {
+    const schedule = [{ ...quantumResults.schedule[0], hour: 'Mon, 0:00', action: 'Say "hi"\nnow' }];
+    const csv = scheduleToCsv(buildRunExport(energyData, { ...quantumResults, schedule }, NOW));
+    expect(csv).toContain(',"Mon, 0:00",');
+    expect(csv).toContain(',"Say ""hi""\nnow",');
+  });
+});
+
+describe('buildReportHtml', () => {
+  it('escapes text from the data', () => {
+    const html = buildReportHtml(buildRunExport(energyData, quantumResults, NOW));
+    expect(html).toContain('<h1>Texas &lt;ERCOT&gt;</h1>');
+    expect(html).toContain('Peak &quot;shaving&quot;, &lt;soon&gt;');
+    expect(html).not.toContain('<soon>');
+  });
+});
+
+describe('exportFileName', () => {
+  it('builds a file-system-safe name from region and time', () => {
+    expect(exportFileName(buildRunExport(energyData, quantumResults, NOW), 'csv'))
+      .toBe('texas-ercot--2024-05-01T10-20-00-000Z.csv');
+  });
+});
@@ -0,0 +1,155 @@
+import { stepHoursOf } from './timeSeries';
+
+// Dispatchable side of the supply mix. `total` on each slot stays the
+// renewable output (solar + wind + hydro); nuclear is added per slot as
+// must-run baseload, so the battery sees surplus = total + nuclear - demand.
+// Whatever the battery leaves over (the schedule's gridBalance) is met by
+// gas, within its ramp limit, and imports up to the intertie limit, cheapest
+// first; surplus goes out as exports up to the same limit and the rest of
+// it is curtailed.
+
+// Shares of the region's base load, and gas ramp as a share of gas capacity
+// per hour.
+export const regionGeneration = {
+  california: { nuclearShare: 0.06, gasShare: 0.6, rampShare: 0.25, gasCost: 48, importShare: 0.25 },
+  texas: { nuclearShare: 0.1, gasShare: 0.7, rampShare: 0.3, gasCost: 38, importShare: 0.05 },
+  newyork: { nuclearShare: 0.12, gasShare: 0.6, rampShare: 0.25, gasCost: 52, importShare: 0.2 },
+  newengland: { nuclearShare: 0.15, gasShare: 0.55, rampShare: 0.25, gasCost: 55, importShare: 0.2 },
+  midwest: { nuclearShare: 0.1, gasShare: 0.45, rampShare: 0.2, gasCost: 40, importShare: 0.15 },
+  pjm: { nuclearShare: 0.3, gasShare: 0.45, rampShare: 0.25, gasCost: 42, importShare: 0.1 },
+  southwest: { nuclearShare: 0.05, gasShare: 0.6, rampShare: 0.3, gasCost: 40, importShare: 0.15 },
+  northwest: { nuclearShare: 0.04, gasShare: 0.35, rampShare: 0.3, gasCost: 45, importShare: 0.3 }
+};
+
+// Imported profiles have no known plant fleet: no nuclear, and gas plus
+// imports sized to cover peak demand on their own.
+const CUSTOM_GENERATION = { nuclearShare: 0, gasShare: 0.7, rampShare: 0.3, gasCost: 45, importShare: 0.3 };
+
+export const GAS_CARBON_INTENSITY = 0.4;
+
+export const mustRunOf = entry => entry.nuclear || 0;
+
+export const surplusOf = entry => entry.total + mustRunOf(entry) - entry.demand;
+
+export const addGenerationMix = (energyData, regionId) => {
+  const shares = regionGeneration[regionId] || CUSTOM_GENERATION;
+  const base = energyData.baseLoad;
+  const gasCapacity = Math.round(base * shares.gasShare);
+  const generation = {
+    nuclearMW: Math.round(base * shares.nuclearShare),
+    gas: {
+      capacityMW: gasCapacity,
+      rampMWPerHour: Math.round(gasCapacity * shares.rampShare),
+      costPerMWh: shares.gasCost,
+      carbonIntensity: GAS_CARBON_INTENSITY
+    },
+    imports: { limitMW: Math.round(base * shares.importShare) }
+  };
+
+  return {
+    ...energyData,
+    current: { ...energyData.current, nuclear: generation.nuclearMW },
+    hourly: energyData.hourly.map(entry => ({ ...entry, nuclear: generation.nuclearMW })),
+    capacity: {
+      ...energyData.capacity,
+      nuclear: generation.nuclearMW,
+      gas: generation.gas.capacityMW,
+      imports: generation.imports.limitMW
+    },
+    generation
+  };
+};
+
+const signedPower = entry => (entry.action === 'Charge' ? entry.amount : entry.action === 'Discharge' ? -entry.amount : 0);
+
+const clamp = (value, lo, hi) => Math.min(hi, Math.max(lo, value));
+
+// Merit-order dispatch of what remains after renewables, nuclear and the
+// battery. `balances` is the per-slot surplus (positive) or shortfall.
+export const dispatchBalances = (energyData, balances) => {
+  const { gas, imports } = energyData.generation;
+  const stepHours = stepHoursOf(energyData);
+  const ramp = gas.rampMWPerHour * stepHours;
+  let previousGas = null;
+
+  return balances.map((balance, idx) => {
+    const entry = energyData.hourly[idx];
+    const need = -balance;
+    // The first slot has no history to ramp from.
+    const gasMin = previousGas === null ? 0 : Math.max(0, previousGas - ramp);
+    const gasMax = previousGas === null ? gas.capacityMW : Math.min(gas.capacityMW, previousGas + ramp);
+    let gasOut;
+    let importOut = 0;
+    if (need > 0 && gas.costPerMWh <= entry.price) {
+      gasOut = clamp(need, gasMin, gasMax);
+      importOut = Math.min(imports.limitMW, Math.max(0, need - gasOut));
+    } else if (need > 0) {
+      importOut = Math.min(imports.limitMW, need);
+      gasOut = clamp(need - importOut, gasMin, gasMax);
+    } else {
+      gasOut = gasMin;
+    }
+    previousGas = gasOut;
+
+    const unserved = Math.max(0, need - gasOut - importOut);
+    const surplus = Math.max(0, gasOut + importOut - need);
+    const exports = Math.min(imports.limitMW, surplus);
+    return {
+      gas: gasOut,
+      imports: importOut,
+      exports,
+      curtailed: Math.min(entry.total, surplus - exports),
+      unserved
+    };
+  });
+};
+
+const totals = (energyData, slots) => {
+  const stepHours = stepHoursOf(energyData);
+  const sum = { gasMWh: 0, gasCost: 0, gasEmissions: 0, importMWh: 0, curtailedMWh: 0, unservedMWh: 0 };
+  slots.forEach((slot) => {
+    sum.gasMWh += slot.gas * stepHours;
+    sum.importMWh += slot.imports * stepHours;
+    sum.curtailedMWh += slot.curtailed * stepHours;
+    sum.unservedMWh += slot.unserved * stepHours;
+  });
+  sum.gasCost = sum.gasMWh * energyData.generation.gas.costPerMWh;
+  sum.gasEmissions = sum.gasMWh * energyData.generation.gas.carbonIntensity;
+  return sum;
+};
+
+// Adds gas, imports, exports, curtailment and unserved demand to each
+// schedule entry, plus `fossilAvoided`: gas the same slot would have burned
+// without the battery. The summary compares both dispatches over the
+// horizon. Without a generation mix the schedule comes back unchanged.
+export const applyDispatch = (energyData, schedule) => {
+  if (!energyData.generation) return { schedule, summary: {} };
+  const hourly = energyData.hourly.slice(0, schedule.length);
+  const baseline = dispatchBalances(energyData, hourly.map(surplusOf));
+  const optimized = dispatchBalances(energyData, hourly.map((entry, idx) => surplusOf(entry) - signedPower(schedule[idx])));
+  const before = totals(energyData, baseline);
+  const after = totals(energyData, optimized);
+
+  return {
+    schedule: schedule.map((entry, idx) => ({
+      ...entry,
+      gas: Math.round(optimized[idx].gas),
+      imports: Math.round(optimized[idx].imports),
+      exports: Math.round(optimized[idx].exports),
+      curtailed: Math.round(optimized[idx].curtailed),
+      unserved: Math.round(optimized[idx].unserved),
+      fossilAvoided: Math.round(baseline[idx].gas - optimized[idx].gas)
+    })),
+    summary: {
+      baselineGasMWh: Math.round(before.gasMWh),
+      optimizedGasMWh: Math.round(after.gasMWh),
+      gasAvoidedMWh: Math.round(before.gasMWh - after.gasMWh),
+      gasCostAvoided: Math.round(before.gasCost - after.gasCost),
+      gasEmissionsAvoided: Math.round(before.gasEmissions - after.gasEmissions),
+      importsAvoidedMWh: Math.round(before.importMWh - after.importMWh),
+      curtailedMWh: Math.round(after.curtailedMWh),
+      curtailmentAvoidedMWh: Math.round(before.curtailedMWh - after.curtailedMWh),
+      unservedMWh: Math.round(after.unservedMWh)
+    }
+  };
+};
@@ -0,0 +1,88 @@
+import { simulateStateOfCharge } from './optimizer';
+import { stepHoursOf } from './timeSeries';
+import { surplusOf } from './generationMix';
+
+// Live mode: energyData is reloaded on an interval and the horizon rolls
+// forward with the clock. A refresh that stays in the same slot and moves
+// the forecast less than the threshold only updates the data; a new slot or
+// a larger change reoptimizes. Either way the battery carries over the state
+// of charge the plan in force leaves it with, and slots that have already
+// started keep the action they were given.
+
+export const LIVE_INTERVALS = [
+  { minutes: 1, label: 'every minute' },
+  { minutes: 5, label: 'every 5 minutes' },
+  { minutes: 15, label: 'every 15 minutes' },
+  { minutes: 60, label: 'every hour' }
+];
+
+export const defaultLiveSettings = { enabled: false, intervalMinutes: 5, thresholdPct: 5 };
+
+// Region and data-source switches settle for this long before anything is
+// fetched, so clicking through regions does not fire a request per click.
+export const LOAD_DEBOUNCE_MS = 400;
+
+const SERIES = ['solar', 'wind', 'hydro', 'demand'];
+
+// Largest change of any series over the slots both forecasts cover, as a
+// percentage of peak demand, and whether the horizon has moved on a slot.
+export const forecastChange = (previous, next) => {
+  const before = new Map(previous.hourly.map(entry => [entry.timestamp, entry]));
+  const peak = Math.max(1, ...next.hourly.map(entry => entry.demand));
+  let largest = 0;
+  let shared = 0;
+  next.hourly.forEach((entry) => {
+    const old = before.get(entry.timestamp);
+    if (!old) return;
+    shared += 1;
+    SERIES.forEach((series) => {
+      largest = Math.max(largest, Math.abs(entry[series] - old[series]));
+    });
+  });
+  return {
+    changePct: Number((largest / peak * 100).toFixed(1)),
+    shared,
+    rolled: next.hourly[0].timestamp !== previous.hourly[0].timestamp
+  };
+};
+
+export const needsReoptimization = (change, thresholdPct) => change.rolled || change.changePct > thresholdPct;
+
+// Starts the next horizon from the state of charge the previous plan reaches
+// at its first slot, and lists the actions of slots that have already begun.
+// Without an overlapping plan for the same battery nothing carries over.
+export const carryOverPlan = (previousData, previousResults, nextData, now = new Date()) => {
+  const schedule = previousResults ? previousResults.schedule : [];
+  const start = schedule.findIndex(entry => entry.timestamp === nextData.hourly[0].timestamp);
+  const battery = previousData.battery;
+  if (start < 0 || !battery || !nextData.battery || battery.capacityMWh !== nextData.battery.capacityMWh) {
+    return { energyData: nextData, fixed: [] };
+  }
+
+  const energy = start > 0 ? schedule[start - 1].stateOfCharge : battery.initialSoC * battery.capacityMWh;
+  const fixed = [];
+  for (let idx = start; idx < schedule.length && new Date(schedule[idx].timestamp) <= now; idx++) {
+    fixed.push({ action: schedule[idx].action, amount: schedule[idx].amount });
+  }
+
+  return {
+    energyData: {
+      ...nextData,
+      battery: { ...nextData.battery, initialSoC: Number((energy / battery.capacityMWh).toFixed(4)) }
+    },
+    fixed
+  };
+};
+
+// For schedules the optimizer could not be told about (e.g. the backend's):
+// overwrite the pinned slots and replay the whole schedule against the
+// battery so state of charge and grid balance stay consistent.
+export const pinExecutedSlots = (energyData, schedule, fixed) => {
+  if (!fixed.length) return schedule;
+  const pinned = schedule.map((entry, idx) => (idx < fixed.length ? { ...entry, ...fixed[idx], pinned: true } : entry));
+  return simulateStateOfCharge(pinned, energyData.battery, stepHoursOf(energyData)).map((entry, idx) => {
+    const input = energyData.hourly[idx];
+    const power = entry.action === 'Charge' ? entry.amount : entry.action === 'Discharge' ? -entry.amount : 0;
+    return input ? { ...entry, gridBalance: Math.round(surplusOf(input) - power) } : entry;
+  });
+};
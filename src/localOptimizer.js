@@ -0,0 +1,40 @@
+import { optimizeBatterySchedule } from './optimizer';
+import { evaluateRules, defaultRules, alertRegion } from './recommendations';
+
+// The in-browser optimizer behind the 'local' solver, robust mode and the
+// fallback when the backend fails, wrapped into the same result shape the
+// backend returns (schedule, recommendations, metrics, summary).
+export const runLocalOptimizer = (energyData, label, rules = defaultRules(), options = {}) => {
+  const startedAt = performance.now();
+  const { schedule, recommendations, summary } = optimizeBatterySchedule(energyData, undefined, rules, options);
+  const elapsed = (performance.now() - startedAt) / 1000;
+
+  return {
+    schedule,
+    recommendations,
+    metrics: {
+      qubits: 0,
+      gates: 0,
+      depth: 0,
+      executionTime: elapsed.toFixed(3),
+      fidelity: 'N/A',
+      optimization: label,
+      iterations: 'N/A'
+    },
+    summary,
+    usingRealBackend: false
+  };
+};
+
+// Rule-based recommendations are recomputed here so every result, whoever
+// produced it, is judged by the same rules. Anything the backend sent
+// itself is kept next to them as info.
+export const withRecommendations = (energyData, results, rules = defaultRules()) => ({
+  ...results,
+  recommendations: [
+    ...evaluateRules(energyData, results.schedule, rules),
+    ...(results.recommendations || [])
+      .filter(rec => !rec.ruleId || rec.ruleId === 'backend')
+      .map(rec => ({ severity: 'info', key: `${alertRegion(energyData)}:backend|${rec.time}|${rec.type}`, ...rec, ruleId: 'backend' }))
+  ]
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { runLocalOptimizer, withRecommendations } from './localOptimizer';
+import { generateEnergyData } from './energyData';
+import { defaultRules } from './recommendations';
+import { sampleScenarios, defaultImportLimit, scheduleRisk } from './uncertainty';
+import { surplusOf } from './generationMix';
+import { optimizeBatterySchedule } from './optimizer';
+
+const NOW = new Date(2024, 4, 1, 10);
+const offline = async () => ({ ok: false, status: 503, text: async () => '' });
+
+let energyData;
+
+beforeAll(async () => {
+  energyData = await generateEnergyData('texas', { now: NOW, fetchImpl: offline });
+});
+
+describe('runLocalOptimizer', () => {
+  it('returns the backend result shape', () => {
+    const results = runLocalOptimizer(energyData, 'Classical DP (Fallback Mode)');
+
+    expect(results.usingRealBackend).toBe(false);
+    expect(results.metrics.optimization).toBe('Classical DP (Fallback Mode)');
+    expect(results.metrics.qubits).toBe(0);
+    expect(results.metrics.iterations).toBe('N/A');
+    expect(results.schedule).toHaveLength(energyData.hourly.length);
+    expect(Array.isArray(results.recommendations)).toBe(true);
+  });
+
+  it('gives the same schedule and summary for the same input', () => {
+    const a = runLocalOptimizer(energyData, 'DP');
+    const b = runLocalOptimizer(energyData, 'DP');
+    expect(a.schedule).toEqual(b.schedule);
+    expect(a.summary).toEqual(b.summary);
+  });
+
+  it('keeps the battery within its power and state-of-charge limits', () => {
+    const { battery } = energyData;
+    const { schedule } = runLocalOptimizer(energyData, 'DP');
+
+    schedule.forEach((entry) => {
+      expect(['Charge', 'Discharge', 'Idle']).toContain(entry.action);
+      expect(entry.amount).toBeLessThanOrEqual(battery.powerMW);
+      expect(entry.stateOfCharge).toBeGreaterThanOrEqual(Math.floor(battery.minSoC * battery.capacityMWh));
+      expect(entry.stateOfCharge).toBeLessThanOrEqual(Math.ceil(battery.maxSoC * battery.capacityMWh));
+    });
+    expect(schedule.some(entry => entry.action !== 'Idle')).toBe(true);
+  });
+
+  it('never costs more than running without storage', () => {
+    const { summary } = runLocalOptimizer(energyData, 'DP');
+    expect(summary.optimizedCost).toBeLessThanOrEqual(summary.baselineCost);
+    expect(summary.costSaving).toBeGreaterThanOrEqual(0);
+  });
+
+  it('accounts for the fossil dispatch the battery avoids', () => {
+    const { schedule, summary } = runLocalOptimizer(energyData, 'DP');
+
+    expect(summary.gasAvoidedMWh).toBe(summary.baselineGasMWh - summary.optimizedGasMWh);
+    expect(summary.gasAvoidedMWh).toBeGreaterThan(0);
+    schedule.forEach((entry) => {
+      expect(entry.gas).toBeLessThanOrEqual(energyData.generation.gas.capacityMW);
+      expect(entry.imports).toBeLessThanOrEqual(energyData.generation.imports.limitMW);
+      expect(entry.curtailed).toBeGreaterThanOrEqual(0);
+    });
+  });
+
+  it('keeps pinned slots as they were executed', () => {
+    const fixed = [{ action: 'Discharge', amount: 500 }, { action: 'Idle', amount: 0 }];
+    const { schedule } = runLocalOptimizer(energyData, 'DP', defaultRules(), { fixed });
+
+    // Up to one state-of-charge level of rounding on the DP grid.
+    expect(schedule[0]).toMatchObject({ action: 'Discharge', pinned: true });
+    expect(Math.abs(schedule[0].amount - 500)).toBeLessThanOrEqual(energyData.battery.capacityMWh / 200);
+    expect(schedule[1]).toMatchObject({ action: 'Idle', pinned: true });
+    expect(schedule[2].pinned).toBeUndefined();
+  });
+
+  it('plans against sampled scenarios in robust mode', () => {
+    const robust = { scenarios: sampleScenarios(energyData, 10), importLimitMW: defaultImportLimit(energyData) };
+    const results = runLocalOptimizer(energyData, 'Robust', defaultRules(), { robust });
+    expect(results.schedule).toHaveLength(energyData.hourly.length);
+  });
+
+  it('leaves less demand unmet than the deterministic plan on held-out scenarios', () => {
+    // Just enough firm supply for the P50 day without storage, so bad draws fall short.
+    const importLimitMW = Math.max(...energyData.hourly.map(entry => -surplusOf(entry)));
+    const scenarios = sampleScenarios(energyData, 20);
+    const deterministic = runLocalOptimizer(energyData, 'DP');
+    const robust = runLocalOptimizer(energyData, 'Robust', defaultRules(), { robust: { scenarios, importLimitMW } });
+
+    // scheduleRisk draws its own samples (a different seed), so the robust
+    // plan is scored on scenarios it was not fitted to.
+    const before = scheduleRisk(energyData, deterministic.schedule, importLimitMW);
+    const after = scheduleRisk(energyData, robust.schedule, importLimitMW);
+    expect(before.expectedUnmetMWh).toBeGreaterThan(0);
+    expect(after.expectedUnmetMWh).toBeLessThan(before.expectedUnmetMWh);
+  });
+});
+
+describe('scheduleRisk', () => {
+  const idle = () => energyData.hourly.map(entry => ({ hour: entry.hour, action: 'Idle', amount: 0 }));
+  const deficits = () => energyData.hourly.map(entry => -surplusOf(entry));
+
+  it('is reproducible for the same schedule', () => {
+    const { schedule } = runLocalOptimizer(energyData, 'DP');
+    expect(scheduleRisk(energyData, schedule)).toEqual(scheduleRisk(energyData, schedule));
+  });
+
+  it('finds no risk when the import limit covers every draw', () => {
+    const risk = scheduleRisk(energyData, idle(), 1e9);
+    expect(risk).toMatchObject({ samples: 100, importLimitMW: 1e9, scenarioShare: 0, slotShare: 0, expectedUnmetMWh: 0, worstUnmetMW: 0 });
+    expect(risk.slotRisk).toHaveLength(energyData.hourly.length);
+    risk.slotRisk.forEach(share => expect(share).toBe(0));
+  });
+
+  it('marks the deepest P50 deficit as short in every sample without imports', () => {
+    const risk = scheduleRisk(energyData, idle(), 0);
+    const deepest = Math.max(...deficits());
+    expect(risk.scenarioShare).toBe(100);
+    expect(risk.worstUnmetMW).toBeGreaterThanOrEqual(Math.floor(deepest));
+    expect(risk.slotRisk[deficits().indexOf(deepest)]).toBe(1);
+  });
+
+  it('grows when the battery charges into a deficit and shrinks when it discharges', () => {
+    const importLimitMW = Math.max(...deficits());
+    const peak = deficits().indexOf(importLimitMW);
+    const withAction = action => idle().map((entry, idx) => (idx === peak ? { ...entry, action, amount: energyData.battery.powerMW } : entry));
+
+    const base = scheduleRisk(energyData, idle(), importLimitMW);
+    expect(scheduleRisk(energyData, withAction('Charge'), importLimitMW).expectedUnmetMWh).toBeGreaterThan(base.expectedUnmetMWh);
+    expect(scheduleRisk(energyData, withAction('Discharge'), importLimitMW).expectedUnmetMWh).toBeLessThan(base.expectedUnmetMWh);
+  });
+});
+
+describe('optimizeBatterySchedule', () => {
+  let fiveMinute;
+
+  beforeAll(async () => {
+    fiveMinute = await generateEnergyData('texas', { now: NOW, fetchImpl: offline, horizon: { hours: 24, resolutionMinutes: 5 } });
+  });
+
+  const peaks = (schedule, action) => Math.max(0, ...schedule.filter(entry => entry.action === action).map(entry => entry.amount));
+
+  it('can use nearly the full power rating in short slots', () => {
+    const { battery } = fiveMinute;
+    const { schedule } = optimizeBatterySchedule(fiveMinute, battery);
+
+    expect(peaks(schedule, 'Charge')).toBeGreaterThanOrEqual(0.95 * battery.powerMW);
+    expect(peaks(schedule, 'Discharge')).toBeGreaterThanOrEqual(0.95 * battery.powerMW);
+  });
+
+  it('still moves a long-duration battery in short slots', () => {
+    const battery = { ...fiveMinute.battery, capacityMWh: fiveMinute.battery.powerMW * 20 };
+    const { schedule } = optimizeBatterySchedule(fiveMinute, battery);
+
+    expect(schedule.some(entry => entry.action !== 'Idle')).toBe(true);
+    expect(peaks(schedule, 'Discharge')).toBeGreaterThanOrEqual(0.9 * battery.powerMW);
+    schedule.forEach(entry => expect(entry.amount).toBeLessThanOrEqual(battery.powerMW));
+  });
+});
+
+describe('withRecommendations', () => {
+  const noRules = Object.fromEntries(Object.entries(defaultRules()).map(([id, rule]) => [id, { ...rule, enabled: false }]));
+
+  it('re-evaluates the rules against the given schedule', () => {
+    const results = runLocalOptimizer(energyData, 'DP');
+    expect(withRecommendations(energyData, results, noRules).recommendations).toEqual([]);
+    const { recommendations } = withRecommendations(energyData, results);
+    expect(recommendations.length).toBeGreaterThan(0);
+    expect(recommendations.every(rec => rec.key.startsWith('texas:') && rec.endsAt > rec.startsAt)).toBe(true);
+  });
+
+  it('keeps recommendations the backend sent as info and drops stale rule alerts', () => {
+    const results = {
+      ...runLocalOptimizer(energyData, 'DP'),
+      recommendations: [
+        { type: 'deficit', time: '18:00', message: 'Backend says discharge' },
+        { ruleId: 'gridImport', severity: 'warning', type: 'deficit', time: '19:00', message: 'Old rule alert' }
+      ]
+    };
+    const { recommendations } = withRecommendations(energyData, results, noRules);
+
+    expect(recommendations).toEqual([{
+      type: 'deficit',
+      time: '18:00',
+      message: 'Backend says discharge',
+      severity: 'info',
+      key: 'texas:backend|18:00|deficit',
+      ruleId: 'backend'
+    }]);
+  });
+});
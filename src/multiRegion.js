@@ -0,0 +1,195 @@
+import { regions } from './regions';
+import { stepHoursOf } from './timeSeries';
+import { surplusOf } from './generationMix';
+
+// Coordinated dispatch across several balancing areas. Each slot, surplus
+// in one area may flow to a deficit in a directly connected neighbour, up to
+// the intertie limit. Transfers are settled before storage (sharing surplus
+// is cheaper than cycling a battery), each area's battery is then optimized
+// on what is left, and any surplus remaining after storage is offered to
+// neighbours once more. Flows do not wheel through a third area.
+
+// Default transfer limits in MW, loosely after the main interties.
+export const INTERTIES = [
+  { a: 'california', b: 'northwest', limitMW: 4800 },
+  { a: 'california', b: 'southwest', limitMW: 1500 },
+  { a: 'northwest', b: 'southwest', limitMW: 800 },
+  { a: 'texas', b: 'southwest', limitMW: 1200 },
+  { a: 'texas', b: 'midwest', limitMW: 800 },
+  { a: 'southwest', b: 'midwest', limitMW: 3000 },
+  { a: 'midwest', b: 'pjm', limitMW: 6000 },
+  { a: 'pjm', b: 'newyork', limitMW: 3000 },
+  { a: 'newyork', b: 'newengland', limitMW: 2000 }
+];
+
+export const intertieKey = (a, b) => [a, b].sort().join('|');
+
+export const defaultTransferLimits = () => Object.fromEntries(
+  INTERTIES.map(tie => [intertieKey(tie.a, tie.b), tie.limitMW])
+);
+
+export const regionName = (regionId) => {
+  const region = regions.find(r => r.id === regionId);
+  return region ? region.shortName : regionId;
+};
+
+export const intertiesBetween = (regionIds, limits = defaultTransferLimits()) => INTERTIES
+  .filter(tie => regionIds.includes(tie.a) && regionIds.includes(tie.b))
+  .map(tie => ({ ...tie, limitMW: limits[intertieKey(tie.a, tie.b)] ?? tie.limitMW }));
+
+// Moves surplus (positive balance) to neighbouring deficits, largest price
+// spread first. Returns the transfers and the balances left over.
+export const settleSlot = (balances, prices, ties) => {
+  const left = { ...balances };
+  const transfers = [];
+  const ordered = [...ties].sort((x, y) => (
+    Math.abs((prices[y.a] || 0) - (prices[y.b] || 0)) - Math.abs((prices[x.a] || 0) - (prices[x.b] || 0))
+  ));
+  ordered.forEach((tie) => {
+    const [from, to] = left[tie.a] > 0 && left[tie.b] < 0 ? [tie.a, tie.b]
+      : left[tie.b] > 0 && left[tie.a] < 0 ? [tie.b, tie.a]
+      : [null, null];
+    if (!from) return;
+    const amount = Math.min(left[from], -left[to], tie.limitMW);
+    if (amount <= 0) return;
+    left[from] -= amount;
+    left[to] += amount;
+    transfers.push({ from, to, amount });
+  });
+  return { transfers, balances: left };
+};
+
+const mergeTransfers = (...lists) => {
+  const merged = new Map();
+  lists.flat().forEach(({ from, to, amount }) => {
+    const key = `${from}>${to}`;
+    merged.set(key, { from, to, amount: (merged.has(key) ? merged.get(key).amount : 0) + amount });
+  });
+  // Opposite flows on the same tie net out.
+  const netted = [];
+  merged.forEach((t) => {
+    const reverse = merged.get(`${t.to}>${t.from}`);
+    const amount = t.amount - (reverse ? reverse.amount : 0);
+    if (amount > 0.5) netted.push({ ...t, amount: Math.round(amount) });
+  });
+  return netted;
+};
+
+const netTransfer = (transfers, regionId) => transfers.reduce((sum, t) => (
+  t.to === regionId ? sum + t.amount : t.from === regionId ? sum - t.amount : sum
+), 0);
+
+const slotPrices = (datasets, idx) => Object.fromEntries(
+  Object.entries(datasets).map(([id, data]) => [id, data.hourly[idx] ? data.hourly[idx].price : 0])
+);
+
+// Imports and exports per area, each naming the counterpart area; whatever
+// the interties cannot cover is traded with the grid outside the selection.
+const transferRecommendations = (regionId, flows, residual, powerMW, stepHours) => {
+  const window = flows.slice(0, Math.round(8 / stepHours));
+  const messages = [];
+  window.forEach((slot, idx) => {
+    slot.transfers.forEach((t) => {
+      if (t.from === regionId) {
+        messages.push({ idx, key: `export>${t.to}`, type: 'excess', amount: t.amount, counterpart: regionName(t.to) });
+      } else if (t.to === regionId) {
+        messages.push({ idx, key: `import<${t.from}`, type: 'deficit', amount: t.amount, counterpart: regionName(t.from) });
+      }
+    });
+    const balance = residual[idx];
+    if (balance > powerMW * 0.5) {
+      messages.push({ idx, key: 'export>outside', type: 'excess', amount: Math.round(balance), counterpart: null });
+    } else if (balance < -powerMW * 0.3) {
+      messages.push({ idx, key: 'import<outside', type: 'deficit', amount: Math.round(-balance), counterpart: null });
+    }
+  });
+
+  const recommendations = [];
+  const byKey = new Map();
+  messages.forEach((m) => {
+    const run = byKey.get(m.key);
+    if (run && run.end === m.idx - 1) {
+      run.end = m.idx;
+      run.amount = Math.max(run.amount, m.amount);
+      return;
+    }
+    const next = { ...m, start: m.idx, end: m.idx };
+    byKey.set(m.key, next);
+    recommendations.push(next);
+  });
+
+  return recommendations.map((run) => {
+    const time = run.end > run.start ? `${flows[run.start].hour}–${flows[run.end].hour}` : flows[run.start].hour;
+    const upTo = run.end > run.start ? 'up to ' : '';
+    const counterpart = run.counterpart || 'the grid outside the selected regions';
+    return {
+      time,
+      type: run.type,
+      counterpart: run.counterpart,
+      message: run.type === 'excess'
+        ? `Recommend exporting ${upTo}${run.amount.toLocaleString()} MW to ${counterpart}.`
+        : `Recommend importing ${upTo}${run.amount.toLocaleString()} MW from ${counterpart}.`
+    };
+  });
+};
+
+// `datasets` maps region id -> energyData on the same slots. `optimize` is
+// the single-region optimizer (backend or fallback) and is called once per
+// area with the pre-storage transfers folded into its demand.
+export const optimizeRegions = async (datasets, limits, optimize) => {
+  const regionIds = Object.keys(datasets);
+  const ties = intertiesBetween(regionIds, limits);
+  const slots = Math.min(...regionIds.map(id => datasets[id].hourly.length));
+  const first = datasets[regionIds[0]];
+  const stepHours = stepHoursOf(first);
+
+  const preStorage = Array.from({ length: slots }, (_, idx) => settleSlot(
+    Object.fromEntries(regionIds.map(id => [id, surplusOf(datasets[id].hourly[idx])])),
+    slotPrices(datasets, idx),
+    ties
+  ).transfers);
+
+  const results = {};
+  for (const id of regionIds) {
+    const data = datasets[id];
+    const adjusted = {
+      ...data,
+      hourly: data.hourly.slice(0, slots).map((entry, idx) => {
+        const net = netTransfer(preStorage[idx], id);
+        return { ...entry, demand: entry.demand - net };
+      })
+    };
+    results[id] = { energyData: adjusted, results: await optimize(adjusted) };
+  }
+
+  const flows = Array.from({ length: slots }, (_, idx) => {
+    const balances = Object.fromEntries(regionIds.map(id => [id, results[id].results.schedule[idx].gridBalance]));
+    const postStorage = settleSlot(balances, slotPrices(datasets, idx), ties);
+    return {
+      hour: first.hourly[idx].hour,
+      timestamp: first.hourly[idx].timestamp,
+      transfers: mergeTransfers(preStorage[idx], postStorage.transfers),
+      residual: postStorage.balances
+    };
+  });
+
+  regionIds.forEach((id) => {
+    const residual = flows.map(slot => slot.residual[id]);
+    results[id].recommendations = transferRecommendations(id, flows, residual, datasets[id].battery.powerMW, stepHours);
+  });
+
+  const transferredMWh = Math.round(flows.reduce((sum, slot) => (
+    sum + slot.transfers.reduce((s, t) => s + t.amount, 0)
+  ), 0) * stepHours);
+  const outsideImportMWh = Math.round(flows.reduce((sum, slot) => (
+    sum + Object.values(slot.residual).reduce((s, b) => s + Math.max(0, -b), 0)
+  ), 0) * stepHours);
+
+  return {
+    regionIds,
+    ties,
+    flows: flows.map(({ residual, ...slot }) => slot),
+    regions: results,
+    summary: { transferredMWh, outsideImportMWh }
+  };
+};
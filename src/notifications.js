@@ -0,0 +1,24 @@
+// Thin wrapper over the browser Notification API. Everything degrades to a
+// no-op where the API is missing (older browsers, some embedded webviews).
+
+export const notificationPermission = () => (
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+);
+
+export const requestNotificationPermission = async () => {
+  if (notificationPermission() === 'unsupported') return 'unsupported';
+  return Notification.requestPermission();
+};
+
+// `tag` lets the browser replace an earlier notification for the same alert
+// instead of stacking duplicates.
+export const showNotification = (title, body, tag) => {
+  if (notificationPermission() !== 'granted') return false;
+  try {
+    new Notification(title, { body, tag });
+    return true;
+  } catch (error) {
+    console.warn('⚠️ Could not show notification:', error.message);
+    return false;
+  }
+};
@@ -0,0 +1,157 @@
+import { authHeaders, fetchWithTimeout } from './settings';
+
+// Job protocol for long-running optimizations:
+//   POST   /api/jobs       payload -> 202 { jobId, status }
+//   GET    /api/jobs/:id   -> { jobId, status, iteration, maxIterations, cost, result?, error? }
+//   DELETE /api/jobs/:id   cancels
+// status moves through queued -> transpiling -> running -> completed | failed | cancelled.
+// Backends without /api/jobs get the original blocking POST /api/optimize.
+// The payload is energyData itself: hourly slots carry must-run `nuclear`
+// alongside the renewables, and `generation` describes gas (capacity, ramp,
+// cost) and imports. Dispatch of the returned schedule is recomputed
+// client-side (generationMix.js), so backends may ignore both.
+// Besides schedule/metrics/summary a result may carry what the quantum run
+// did: `qasm`, `counts` ({ bitstring: shots }), `convergence`
+// ([{ iteration, cost }]) and `bestBitstring`. When a job result has no
+// convergence, the costs seen while polling are attached instead.
+// Polls and cancels are retried with exponential backoff on network errors,
+// timeouts, 429 and 5xx. A POST that timed out or got a 5xx may already have
+// started a job, so POSTs are only retried when the connection failed or the
+// backend turned them away (429, 503). If polling stops before the job
+// finishes, for whatever reason, the job is cancelled with a DELETE.
+// GET /api/health is polled independently.
+
+export const RETRY_ATTEMPTS = 3;
+export const RETRY_BASE_DELAY_MS = 1000;
+
+export const JOB_STATUS_LABELS = {
+  queued: 'Queued',
+  transpiling: 'Transpiling circuit',
+  running: 'Running',
+  retrying: 'Backend unavailable, retrying',
+  completed: 'Completed',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+export const isCancellation = (error) => error && error.name === 'AbortError';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const cancellationError = () => {
+  const error = new Error('Optimization cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(cancellationError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancellationError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+const isRetryableStatus = (method, status) => (
+  IDEMPOTENT_METHODS.includes(method) ? status === 429 || status >= 500 : status === 429 || status === 503
+);
+
+// fetch rejects with a TypeError when the request never got a response;
+// fetchWithTimeout's timeouts are plain Errors.
+const isRetryableError = (method, error) => IDEMPOTENT_METHODS.includes(method) || error instanceof TypeError;
+
+// Resolves with the first response that is not worth retrying; rejects with
+// the last error once the attempts are used up or the caller cancels.
+export const fetchWithRetry = async (url, options, timeoutMs, { signal, onRetry = () => {}, attempts = RETRY_ATTEMPTS, baseDelayMs = RETRY_BASE_DELAY_MS } = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+    try {
+      const response = await fetchWithTimeout(url, { ...options, signal }, timeoutMs);
+      if (!isRetryableStatus(method, response.status) || attempt >= attempts) return response;
+      failure = new Error(`Backend returned ${response.status}: ${response.statusText}`);
+    } catch (error) {
+      if (isCancellation(error) || (signal && signal.aborted) || attempt >= attempts || !isRetryableError(method, error)) throw error;
+      failure = error;
+    }
+    const delayMs = baseDelayMs * 2 ** attempt;
+    onRetry({ attempt: attempt + 1, attempts, delayMs, error: failure });
+    await sleep(delayMs, signal);
+  }
+};
+
+export const checkBackendHealth = async (settings, signal) => {
+  try {
+    const response = await fetchWithTimeout(
+      `${settings.apiUrl}/api/health`,
+      { headers: authHeaders(settings), signal },
+      Math.min(settings.requestTimeoutMs, 10000)
+    );
+    // A backend that predates /api/health answers 404 but is still up.
+    return response.ok || response.status === 404;
+  } catch (error) {
+    return false;
+  }
+};
+
+const readJson = async (response) => {
+  if (!response.ok) {
+    throw new Error(`Backend returned ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+};
+
+export const submitOptimization = async (payload, { settings, signal, onProgress = () => {}, pollIntervalMs = 1000 }) => {
+  const headers = { 'Content-Type': 'application/json', ...authHeaders(settings) };
+  const request = (path, options = {}) => fetchWithRetry(
+    `${settings.apiUrl}${path}`,
+    { headers, ...options },
+    settings.requestTimeoutMs,
+    { signal, onRetry: retry => onProgress({ status: 'retrying', ...retry }) }
+  );
+
+  const submitted = await request('/api/jobs', { method: 'POST', body: JSON.stringify(payload) });
+  if (submitted.status === 404 || submitted.status === 405) {
+    onProgress({ status: 'running' });
+    return readJson(await request('/api/optimize', { method: 'POST', body: JSON.stringify(payload) }));
+  }
+
+  let job = await readJson(submitted);
+  const convergence = [];
+  try {
+    for (;;) {
+      onProgress(job);
+      if (job.cost != null && job.iteration != null && !convergence.some(point => point.iteration === job.iteration)) {
+        convergence.push({ iteration: job.iteration, cost: job.cost });
+      }
+      if (job.status === 'completed') {
+        return job.result.convergence || !convergence.length ? job.result : { ...job.result, convergence };
+      }
+      if (job.status === 'failed') throw new Error(job.error || 'Optimization job failed');
+      if (job.status === 'cancelled') throw cancellationError();
+      await sleep(pollIntervalMs, signal);
+      job = await readJson(await request(`/api/jobs/${job.jobId}`));
+    }
+  } catch (error) {
+    // Whatever stopped the polling (cancel, timeout, retries used up), a job
+    // that is still going would otherwise run on with nobody waiting for it.
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+      fetchWithTimeout(
+        `${settings.apiUrl}/api/jobs/${job.jobId}`,
+        { method: 'DELETE', headers },
+        settings.requestTimeoutMs
+      ).catch(() => {});
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,186 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createServer } from '../scripts/mock-backend.mjs';
+import { submitOptimization, fetchWithRetry, isCancellation } from './optimizeClient';
+
+const payload = {
+  capacity: { battery: 100 },
+  hourly: Array.from({ length: 24 }, (_, hour) => ({ hour: `${hour}:00`, total: 500 + (hour % 6) * 40, demand: 600 })),
+  solver: { solver: 'qaoa', maxIterations: 3 }
+};
+
+const servers = [];
+
+// Starts the mock backend on a free port and returns settings pointing at it.
+// Options are explicit so the mock backend's environment variables can't
+// change what the tests exercise.
+const startBackend = async (options) => {
+  const server = createServer({ stepMs: 5, mode: 'jobs', fail: false, flaky: 0, ...options });
+  servers.push(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const apiUrl = `http://127.0.0.1:${server.address().port}`;
+  return { apiUrl, authHeader: 'Authorization', authToken: '', requestTimeoutMs: 5000 };
+};
+
+const getJob = async (settings, jobId) => (await fetch(`${settings.apiUrl}/api/jobs/${jobId}`)).json();
+
+afterEach(async () => {
+  vi.unstubAllGlobals();
+  await Promise.all(servers.splice(0).map(server => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  })));
+});
+
+describe('submitOptimization', () => {
+  it('submits a job and reports progress until it completes', async () => {
+    const settings = await startBackend();
+    const progress = [];
+    const result = await submitOptimization(payload, {
+      settings,
+      pollIntervalMs: 2,
+      onProgress: job => progress.push({ status: job.status, iteration: job.iteration })
+    });
+
+    expect(result.schedule).toHaveLength(24);
+    expect(result.metrics.iterations).toBe(3);
+    expect(result.convergence).toHaveLength(3);
+    const statuses = progress.map(job => job.status);
+    expect(statuses[0]).toBe('queued');
+    expect(statuses).toContain('running');
+    expect(statuses[statuses.length - 1]).toBe('completed');
+    expect(progress.some(job => job.status === 'running' && job.iteration > 0)).toBe(true);
+  });
+
+  it('cancels the job on the backend when aborted', async () => {
+    const settings = await startBackend({ stepMs: 50 });
+    const controller = new AbortController();
+    let jobId;
+    const submission = submitOptimization(payload, {
+      settings,
+      signal: controller.signal,
+      pollIntervalMs: 2,
+      onProgress: (job) => {
+        jobId = job.jobId;
+        controller.abort();
+      }
+    });
+
+    const error = await submission.catch(failure => failure);
+    expect(isCancellation(error)).toBe(true);
+
+    // The DELETE is fire-and-forget; wait for the backend to see it.
+    let job = await getJob(settings, jobId);
+    for (let tries = 0; job.status !== 'cancelled' && tries < 50; tries++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = await getJob(settings, jobId);
+    }
+    expect(job.status).toBe('cancelled');
+  });
+
+  it('cancels the job on the backend when polling fails', async () => {
+    const settings = await startBackend({ stepMs: 50 });
+    const backendFetch = globalThis.fetch;
+    let jobId;
+    vi.stubGlobal('fetch', (url, init = {}) => (
+      jobId && !init.method
+        ? Promise.resolve(new Response('', { status: 404, statusText: 'Not Found' }))
+        : backendFetch(url, init)
+    ));
+    const error = await submitOptimization(payload, {
+      settings,
+      pollIntervalMs: 2,
+      onProgress: (job) => { jobId = job.jobId; }
+    }).catch(failure => failure);
+    vi.unstubAllGlobals();
+    expect(error.message).toMatch(/404/);
+
+    let job = await getJob(settings, jobId);
+    for (let tries = 0; job.status !== 'cancelled' && tries < 50; tries++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      job = await getJob(settings, jobId);
+    }
+    expect(job.status).toBe('cancelled');
+  });
+
+  it('reports a failed job as an error', async () => {
+    const settings = await startBackend({ fail: true, maxIterations: 4 });
+    await expect(submitOptimization(payload, { settings, pollIntervalMs: 2 }))
+      .rejects.toThrow('Mock backend failure');
+  });
+
+  it('falls back to the blocking endpoint when /api/jobs is missing', async () => {
+    const settings = await startBackend({ mode: 'sync' });
+    const progress = [];
+    const result = await submitOptimization(payload, {
+      settings,
+      onProgress: job => progress.push(job.status)
+    });
+
+    expect(progress).toEqual(['running']);
+    expect(result.schedule).toHaveLength(24);
+    expect(result.metrics.optimization).toBe('QAOA (Mock Backend)');
+  });
+});
+
+describe('fetchWithRetry', () => {
+  const respond = status => ({ ok: status < 400, status, statusText: `HTTP ${status}` });
+  const retry = { baseDelayMs: 1 };
+
+  // Stubs fetch with one outcome per call (a status, or an error to throw)
+  // and returns the list of methods it was called with.
+  const stubFetch = (...outcomes) => {
+    const calls = [];
+    vi.stubGlobal('fetch', async (url, init) => {
+      calls.push(init.method || 'GET');
+      const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+      if (outcome instanceof Error) throw outcome;
+      return respond(outcome);
+    });
+    return calls;
+  };
+
+  it('retries reads on 5xx', async () => {
+    const calls = stubFetch(500, 502, 200);
+    const response = await fetchWithRetry('/api/jobs/1', {}, 1000, retry);
+    expect(response.status).toBe(200);
+    expect(calls).toHaveLength(3);
+  });
+
+  it('does not repeat a POST the backend may have accepted', async () => {
+    const calls = stubFetch(500, 200);
+    const response = await fetchWithRetry('/api/jobs', { method: 'POST' }, 1000, retry);
+    expect(response.status).toBe(500);
+    expect(calls).toEqual(['POST']);
+  });
+
+  it('does not repeat a POST that timed out', async () => {
+    let calls = 0;
+    vi.stubGlobal('fetch', (url, init) => {
+      calls += 1;
+      return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+    await expect(fetchWithRetry('/api/jobs', { method: 'POST' }, 5, retry)).rejects.toThrow(/timed out/);
+    expect(calls).toBe(1);
+  });
+
+  it('retries a POST that was turned away or never connected', async () => {
+    const calls = stubFetch(503, new TypeError('fetch failed'), 429, 202);
+    const onRetry = vi.fn();
+    const response = await fetchWithRetry('/api/jobs', { method: 'POST' }, 1000, { ...retry, onRetry });
+    expect(response.status).toBe(202);
+    expect(calls).toHaveLength(4);
+    expect(onRetry.mock.calls.map(([info]) => info.delayMs)).toEqual([1, 2, 4]);
+  });
+
+  it('removes its abort listeners once the backoff is over', async () => {
+    stubFetch(503, 200);
+    const { signal } = new AbortController();
+    const added = vi.spyOn(signal, 'addEventListener');
+    const removed = vi.spyOn(signal, 'removeEventListener');
+    await fetchWithRetry('/api/jobs/1', {}, 1000, { ...retry, signal });
+
+    expect(added.mock.calls.length).toBeGreaterThan(0);
+    expect(removed.mock.calls.map(([, listener]) => listener).sort())
+      .toEqual(added.mock.calls.map(([, listener]) => listener).sort());
+  });
+});
@@ -0,0 +1,232 @@
+// Classical battery dispatch used when the Qiskit backend is unavailable.
+// Dynamic programming over a discretised state-of-charge grid: for every slot
+// we keep the cheapest way to reach each SoC level, then walk back from the
+// best final state. Same input always yields the same schedule and summary.
+// Slots may be shorter than an hour; powers stay in MW, energies in MWh.
+import { stepHoursOf } from './timeSeries';
+import { CARBON_SHADOW_PRICE, applyPriceSignals, hasPriceSignals, evaluateSchedule } from './pricing';
+import { evaluateRules, defaultRules } from './recommendations';
+import { mustRunOf, surplusOf, applyDispatch } from './generationMix';
+
+// SoC grid: at least SOC_LEVELS levels, and fine enough that a full-power
+// slot moves MOVE_LEVELS levels, so short slots don't round most of the power
+// rating away. MAX_SOC_LEVELS bounds the work for long-duration batteries at
+// fine resolutions; one level per slot stays reachable regardless.
+const SOC_LEVELS = 200;
+const MOVE_LEVELS = 20;
+const MAX_SOC_LEVELS = 2000;
+const SPILL_COST = 0.05;
+const CYCLE_COST = 0.001;
+const PEAK_WEIGHT = 0.1;
+// Demand beyond the import limit in robust mode, relative to the mean cost.
+const UNSERVED_COST = 20;
+
+export const defaultBatteryParams = (powerMW) => ({
+  powerMW,
+  capacityMWh: powerMW * 4,
+  initialSoC: 0.5,
+  minSoC: 0.1,
+  maxSoC: 1,
+  roundTripEfficiency: 0.85
+});
+
+// Imports cost the slot's price plus its emissions at the shadow carbon
+// price, weighted slightly convexly so that, all else equal, stored energy
+// goes to the deepest deficits (peak shaving). Spill and cycling costs are
+// small fractions of the average import cost.
+const hourCost = (net, peak, importCost, meanCost) => (
+  net < 0 ? -net * importCost * (1 + PEAK_WEIGHT * -net / peak) : net * SPILL_COST * meanCost
+);
+
+// Options:
+//   robust  { scenarios, importLimitMW } (see uncertainty.js) switches the
+//           objective to the expected cost over the sampled scenarios, with
+//           demand the import limit cannot cover priced as unserved. The
+//           schedule itself is still reported against the P50 series.
+//   fixed   [{ action, amount }] pins the first slots to actions already
+//           being executed (rolling-horizon reoptimization, see liveMode.js).
+export const optimizeBatterySchedule = (inputData, batteryParams, rules = defaultRules(), { robust = null, fixed = [] } = {}) => {
+  const energyData = hasPriceSignals(inputData) ? inputData : applyPriceSignals(inputData);
+  const battery = batteryParams || energyData.battery || defaultBatteryParams(energyData.capacity.battery);
+  const hours = energyData.hourly;
+  const importCosts = hours.map(h => h.price + CARBON_SHADOW_PRICE * h.carbonIntensity);
+  const meanCost = importCosts.reduce((a, b) => a + b, 0) / Math.max(1, importCosts.length);
+  const stepHours = stepHoursOf(energyData);
+  const oneWay = Math.sqrt(battery.roundTripEfficiency);
+  const maxEnergy = battery.powerMW * stepHours;
+  const fullMove = maxEnergy * oneWay > 0 ? battery.capacityMWh / (maxEnergy * oneWay) : 0;
+  const socLevels = Math.max(
+    SOC_LEVELS,
+    Math.min(MAX_SOC_LEVELS, Math.ceil(fullMove * MOVE_LEVELS)),
+    Math.ceil(fullMove)
+  );
+  const step = battery.capacityMWh / socLevels;
+  const minLevel = Math.ceil(battery.minSoC * socLevels - 1e-9);
+  const maxLevel = Math.floor(battery.maxSoC * socLevels + 1e-9);
+  const startLevel = Math.min(maxLevel, Math.max(minLevel, Math.round(battery.initialSoC * socLevels)));
+  const peak = Math.max(1, ...hours.map(h => h.demand));
+
+  // Grid power drawn (positive) or delivered (negative) to move between levels.
+  const transfer = (from, to) => {
+    const delta = (to - from) * step;
+    return delta >= 0 ? delta / oneWay / stepHours : delta * oneWay / stepHours;
+  };
+
+  const maxUp = step > 0 ? Math.floor(maxEnergy * oneWay / step + 1e-9) : 0;
+  const maxDown = step > 0 ? Math.floor(maxEnergy / oneWay / step + 1e-9) : 0;
+
+  let cost = new Array(socLevels + 1).fill(Infinity);
+  cost[startLevel] = 0;
+  const choices = [];
+
+  const surpluses = robust
+    ? hours.map((hour, idx) => robust.scenarios.map(sample => sample[idx].total + mustRunOf(hour) - sample[idx].demand))
+    : hours.map(hour => [surplusOf(hour)]);
+  const slotCost = (idx, power) => {
+    const samples = surpluses[idx];
+    let total = 0;
+    samples.forEach((surplus) => {
+      const net = surplus - power;
+      total += hourCost(net, peak, importCosts[idx], meanCost);
+      if (robust) total += Math.max(0, -net - robust.importLimitMW) * UNSERVED_COST * meanCost;
+    });
+    return total / samples.length;
+  };
+
+  // Level change that carries out a pinned action, as near as the grid allows.
+  const pinnedMove = (entry) => {
+    const energy = (entry.amount || 0) * stepHours;
+    if (entry.action === 'Charge') return Math.min(maxUp, Math.round(energy * oneWay / step));
+    if (entry.action === 'Discharge') return -Math.min(maxDown, Math.round(energy / oneWay / step));
+    return 0;
+  };
+
+  hours.forEach((hour, idx) => {
+    const next = new Array(socLevels + 1).fill(Infinity);
+    const from = new Int32Array(socLevels + 1).fill(-1);
+    // Every move of the same size costs the same within a slot.
+    const moveCosts = [];
+    for (let d = -maxDown; d <= maxUp; d++) {
+      const power = transfer(0, d);
+      moveCosts.push(slotCost(idx, power) * stepHours + Math.abs(power) * CYCLE_COST * meanCost * stepHours);
+    }
+
+    for (let s = minLevel; s <= maxLevel; s++) {
+      if (cost[s] === Infinity) continue;
+      let lo = Math.max(minLevel, s - maxDown);
+      let hi = Math.min(maxLevel, s + maxUp);
+      if (idx < fixed.length) {
+        lo = Math.min(hi, Math.max(lo, s + pinnedMove(fixed[idx])));
+        hi = lo;
+      }
+      for (let t = lo; t <= hi; t++) {
+        const c = cost[s] + moveCosts[t - s + maxDown];
+        if (c < next[t]) {
+          next[t] = c;
+          from[t] = s;
+        }
+      }
+    }
+
+    choices.push(from);
+    cost = next;
+  });
+
+  // Energy drawn below the starting SoC has to be bought back later.
+  let bestLevel = startLevel;
+  let bestCost = Infinity;
+  for (let s = minLevel; s <= maxLevel; s++) {
+    const shortfall = Math.max(0, startLevel - s) * step / oneWay;
+    const total = cost[s] + shortfall * meanCost;
+    if (total < bestCost) {
+      bestCost = total;
+      bestLevel = s;
+    }
+  }
+
+  const levels = new Array(hours.length + 1);
+  levels[hours.length] = bestLevel;
+  for (let i = hours.length - 1; i >= 0; i--) {
+    levels[i] = choices[i][levels[i + 1]];
+  }
+
+  let gridImport = 0;
+  let gridExport = 0;
+  let baselineImport = 0;
+  let renewableUsed = 0;
+  let renewableTotal = 0;
+
+  const planned = hours.map((hour, idx) => {
+    const surplus = surplusOf(hour);
+    const power = transfer(levels[idx], levels[idx + 1]);
+    const net = surplus - power;
+    const action = power > 1e-6 ? 'Charge' : power < -1e-6 ? 'Discharge' : 'Idle';
+
+    gridImport += Math.max(0, -net) * stepHours;
+    gridExport += Math.max(0, net) * stepHours;
+    baselineImport += Math.max(0, -surplus) * stepHours;
+    renewableUsed += (Math.min(hour.total, Math.max(0, hour.demand - mustRunOf(hour))) + Math.min(Math.max(0, power), Math.max(0, surplus))) * stepHours;
+    renewableTotal += hour.total * stepHours;
+
+    return {
+      hour: hour.hour,
+      timestamp: hour.timestamp,
+      action,
+      amount: Math.round(Math.abs(power)),
+      efficiency: action === 'Idle' ? null : Math.round(oneWay * 100),
+      gridBalance: Math.round(net),
+      stateOfCharge: Math.round(levels[idx + 1] * step),
+      ...(idx < fixed.length ? { pinned: true } : {})
+    };
+  });
+
+  const avoidedImport = baselineImport - gridImport;
+  const { costSaving, carbonReduction, ...costBreakdown } = evaluateSchedule(energyData, planned);
+  const { schedule, summary: dispatch } = applyDispatch(energyData, planned);
+
+  const recommendations = evaluateRules({ ...energyData, battery }, schedule, rules);
+
+  return {
+    schedule,
+    recommendations,
+    summary: {
+      totalOptimization: baselineImport > 0 ? Math.round(avoidedImport / baselineImport * 100) : 0,
+      costSaving,
+      carbonReduction,
+      efficiency: renewableTotal > 0 ? Math.round(renewableUsed / renewableTotal * 100) : 0,
+      gridImport: Math.round(gridImport),
+      gridExport: Math.round(gridExport),
+      baselineGridImport: Math.round(baselineImport),
+      ...costBreakdown,
+      ...dispatch
+    },
+    battery
+  };
+};
+
+// Replays a schedule (e.g. one returned by the backend) against the battery
+// limits, clipping each action to what the battery can actually absorb or
+// deliver and filling in the resulting state of charge.
+export const simulateStateOfCharge = (schedule, battery, stepHours = 1) => {
+  const oneWay = Math.sqrt(battery.roundTripEfficiency);
+  const minEnergy = battery.minSoC * battery.capacityMWh;
+  const maxEnergy = battery.maxSoC * battery.capacityMWh;
+  let energy = Math.min(maxEnergy, Math.max(minEnergy, battery.initialSoC * battery.capacityMWh));
+
+  return schedule.map((entry) => {
+    const requested = Math.min(entry.amount || 0, battery.powerMW);
+    let amount = 0;
+    if (entry.action === 'Charge') {
+      amount = Math.min(requested, (maxEnergy - energy) / oneWay / stepHours);
+      energy += amount * oneWay * stepHours;
+    } else if (entry.action === 'Discharge') {
+      amount = Math.min(requested, (energy - minEnergy) * oneWay / stepHours);
+      energy -= amount / oneWay * stepHours;
+    }
+    return {
+      ...entry,
+      amount: Math.round(amount),
+      stateOfCharge: Math.round(energy)
+    };
+  });
+};
@@ -0,0 +1,250 @@
+import { parseCsv, toNumber, parseTimestamp } from './dataSources/common';
+import { parseHourList } from './scenarios';
+import { hourOfDay, stepHoursOf } from './timeSeries';
+import { surplusOf } from './generationMix';
+
+// Price and emissions signals per slot. Each region has a time-of-use tariff
+// and a marginal carbon-intensity profile, both given as hour-of-day periods
+// on top of an off-peak value; an imported LMP series ($/MWh by timestamp or
+// hour of day, optionally with tCO₂/MWh) can replace the tariff for a region.
+
+// Used by the fallback optimizer to weigh emissions against cost.
+export const CARBON_SHADOW_PRICE = 50; // $/tCO₂
+
+const DEFAULT_PRICING = {
+  tariff: { name: 'Generic time-of-use', offPeakPrice: 40, periods: [{ name: 'Peak', hours: '16-20', price: 100 }] },
+  carbon: { name: 'Generic marginal mix', baseIntensity: 0.4, periods: [{ hours: '17-21', intensity: 0.5 }] }
+};
+
+export const regionPricing = {
+  california: {
+    tariff: {
+      name: 'CAISO time-of-use',
+      offPeakPrice: 55,
+      periods: [{ name: 'Super off-peak', hours: '9-13', price: 20 }, { name: 'Peak', hours: '16-20', price: 140 }]
+    },
+    carbon: { name: 'CAISO marginal (gas on the margin)', baseIntensity: 0.38, periods: [{ hours: '9-15', intensity: 0.25 }, { hours: '17-21', intensity: 0.45 }] }
+  },
+  texas: {
+    tariff: { name: 'ERCOT time-of-use', offPeakPrice: 30, periods: [{ name: 'Peak', hours: '15-19', price: 110 }] },
+    carbon: { name: 'ERCOT marginal (gas/coal)', baseIntensity: 0.45, periods: [{ hours: '16-20', intensity: 0.52 }] }
+  },
+  newyork: {
+    tariff: { name: 'NYISO time-of-use', offPeakPrice: 45, periods: [{ name: 'Peak', hours: '12-20', price: 95 }] },
+    carbon: { name: 'NYISO marginal (gas/oil)', baseIntensity: 0.42, periods: [{ hours: '14-20', intensity: 0.5 }] }
+  },
+  newengland: {
+    tariff: { name: 'ISO-NE time-of-use', offPeakPrice: 50, periods: [{ name: 'Peak', hours: '17-20', price: 120 }] },
+    carbon: { name: 'ISO-NE marginal (gas/oil)', baseIntensity: 0.4, periods: [{ hours: '17-20', intensity: 0.48 }] }
+  },
+  midwest: {
+    tariff: { name: 'MISO time-of-use', offPeakPrice: 30, periods: [{ name: 'Peak', hours: '14-19', price: 85 }] },
+    carbon: { name: 'MISO marginal (coal/gas)', baseIntensity: 0.6, periods: [{ hours: '0-5', intensity: 0.55 }, { hours: '14-19', intensity: 0.7 }] }
+  },
+  pjm: {
+    tariff: { name: 'PJM time-of-use', offPeakPrice: 35, periods: [{ name: 'Peak', hours: '14-19', price: 90 }] },
+    carbon: { name: 'PJM marginal (gas/coal)', baseIntensity: 0.5, periods: [{ hours: '14-19', intensity: 0.6 }] }
+  },
+  southwest: {
+    tariff: { name: 'SPP time-of-use', offPeakPrice: 25, periods: [{ name: 'Peak', hours: '15-19', price: 95 }] },
+    carbon: { name: 'SPP marginal (coal/gas)', baseIntensity: 0.55, periods: [{ hours: '10-14', intensity: 0.45 }, { hours: '16-20', intensity: 0.65 }] }
+  },
+  northwest: {
+    tariff: { name: 'BPA time-of-use', offPeakPrice: 30, periods: [{ name: 'Peak', hours: '17-21', price: 70 }] },
+    carbon: { name: 'BPA marginal (hydro/gas)', baseIntensity: 0.2, periods: [{ hours: '17-21', intensity: 0.35 }] }
+  }
+};
+
+export const getRegionPricing = (regionId) => regionPricing[regionId] || DEFAULT_PRICING;
+
+const periodValue = (periods, hour, key, fallback) => {
+  const period = periods.find(p => parseHourList(p.hours).has(hour));
+  return period ? period[key] : fallback;
+};
+
+export const tariffPrice = (tariff, hour) => periodValue(tariff.periods, hour, 'price', tariff.offPeakPrice);
+
+export const carbonIntensity = (carbon, hour) => periodValue(carbon.periods, hour, 'intensity', carbon.baseIntensity);
+
+// An hourly LMP series, as CSV with an `hour` (0-23) or `timestamp` column,
+// an `lmp` or `price` column in $/MWh and an optional `carbon` column in
+// tCO₂/MWh. Timestamped rows stay a series ({ time, price, carbon }) that is
+// matched to slots by time; `hour` rows give an hour-of-day profile.
+export const parseLmpSeries = (text, name) => {
+  const problems = [];
+  const buckets = {};
+  const series = [];
+  parseCsv(text).forEach((raw, idx) => {
+    const row = Object.fromEntries(Object.entries(raw).map(([key, value]) => [key.trim().toLowerCase().replace(/\s*\(.*\)$/, ''), value]));
+    const timestamp = row.timestamp ? parseTimestamp(row.timestamp) : null;
+    const hour = Number(String(row.hour ?? '').split(':')[0]);
+    const price = toNumber(row.lmp ?? row.price);
+    const hasCarbon = row.carbon !== undefined && row.carbon !== '';
+    const carbon = hasCarbon ? toNumber(row.carbon) : null;
+    if (row.timestamp ? !timestamp : !row.hour || !Number.isInteger(hour) || hour < 0 || hour > 23) {
+      problems.push({ row: idx + 1, message: 'Missing or invalid hour/timestamp.' });
+      return;
+    }
+    if (price === undefined) {
+      problems.push({ row: idx + 1, message: 'Missing or non-numeric lmp/price value.' });
+      return;
+    }
+    if (hasCarbon && (carbon === undefined || carbon < 0)) {
+      problems.push({ row: idx + 1, message: 'Carbon intensity must be a non-negative number (tCO₂/MWh).' });
+      return;
+    }
+    if (timestamp) {
+      series.push({ row: idx + 1, time: timestamp.getTime(), price, carbon });
+      return;
+    }
+    buckets[hour] = buckets[hour] || { price: 0, carbon: 0, count: 0, carbonCount: 0 };
+    buckets[hour].price += price;
+    buckets[hour].count += 1;
+    if (hasCarbon) {
+      buckets[hour].carbon += carbon;
+      buckets[hour].carbonCount += 1;
+    }
+  });
+
+  if (series.length && Object.keys(buckets).length) {
+    problems.push({ row: null, message: 'Give a timestamp on every row or on none.' });
+  }
+  return series.length ? timestampedLmp(series, name, problems) : hourOfDayLmp(buckets, name, problems);
+};
+
+const timestampedLmp = (series, name, problems) => {
+  series.sort((a, b) => a.time - b.time);
+  series.forEach((point, idx) => {
+    if (idx > 0 && point.time === series[idx - 1].time) {
+      problems.push({ row: point.row, message: 'Duplicate timestamp.' });
+    }
+  });
+  const hasCarbon = series.some(point => point.carbon !== null);
+  if (hasCarbon && series.some(point => point.carbon === null)) {
+    problems.push({ row: null, message: 'Carbon intensity must be given for every row or none.' });
+  }
+
+  const valid = problems.length === 0;
+  return {
+    valid,
+    problems,
+    lmp: valid ? { name, series: series.map(({ time, price, carbon }) => ({ time, price, carbon })), hasCarbon } : null
+  };
+};
+
+const hourOfDayLmp = (buckets, name, problems) => {
+  const missing = Array.from({ length: 24 }, (_, hour) => hour).filter(hour => !buckets[hour]);
+  if (missing.length) {
+    problems.push({ row: null, message: `No price for hour${missing.length > 1 ? 's' : ''} ${missing.join(', ')}.` });
+  }
+  const hasCarbon = Object.values(buckets).some(b => b.carbonCount > 0);
+  if (hasCarbon && Object.values(buckets).some(b => b.carbonCount === 0)) {
+    problems.push({ row: null, message: 'Carbon intensity must be given for every hour or none.' });
+  }
+
+  const valid = problems.length === 0;
+  const average = (key, countKey) => Object.fromEntries(Object.entries(buckets).map(([hour, b]) => [hour, b[key] / b[countKey]]));
+  return {
+    valid,
+    problems,
+    lmp: valid ? { name, prices: average('price', 'count'), carbon: hasCarbon ? average('carbon', 'carbonCount') : null } : null
+  };
+};
+
+// The series point whose interval holds `time`: the last point at or before
+// it, up to the next point (or one step past the last one).
+const seriesPointAt = (series, time) => {
+  if (!series.length || time < series[0].time) return null;
+  let lo = 0;
+  let hi = series.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (series[mid].time <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  const next = series[lo + 1];
+  const step = next ? next.time - series[lo].time : lo > 0 ? series[lo].time - series[lo - 1].time : 3600000;
+  return time < series[lo].time + step ? series[lo] : null;
+};
+
+// Imported { price, carbon } for one slot; null when a timestamped series
+// does not reach it.
+const lmpSignal = (lmp, entry) => {
+  if (!lmp.series) {
+    const hour = hourOfDay(entry);
+    return { price: lmp.prices[hour], carbon: lmp.carbon ? lmp.carbon[hour] : null };
+  }
+  return entry.timestamp ? seriesPointAt(lmp.series, new Date(entry.timestamp).getTime()) : null;
+};
+
+const lmpHasCarbon = lmp => Boolean(lmp.series ? lmp.hasCarbon : lmp.carbon);
+
+// Stamps `price` ($/MWh) and `carbonIntensity` (tCO₂/MWh) on every slot.
+// `model` is { mode: 'tou' } or { mode: 'lmp', lmp } from parseLmpSeries.
+// Slots outside a timestamped series keep the regional tariff and carbon
+// profile; `pricing.uncoveredSlots` counts them.
+export const applyPriceSignals = (energyData, regionId, model = { mode: 'tou' }) => {
+  const { tariff, carbon } = getRegionPricing(regionId);
+  const lmp = model.mode === 'lmp' && model.lmp ? model.lmp : null;
+  let uncoveredSlots = 0;
+
+  const hourly = energyData.hourly.map((entry) => {
+    const hour = hourOfDay(entry);
+    const signal = lmp ? lmpSignal(lmp, entry) : null;
+    if (lmp && !signal) uncoveredSlots += 1;
+    return {
+      ...entry,
+      price: signal ? signal.price : tariffPrice(tariff, hour),
+      carbonIntensity: signal && signal.carbon != null ? signal.carbon : carbonIntensity(carbon, hour)
+    };
+  });
+
+  return {
+    ...energyData,
+    hourly,
+    pricing: {
+      mode: lmp ? 'lmp' : 'tou',
+      tariff: lmp ? `Imported LMP (${lmp.name})` : tariff.name,
+      carbon: lmp && lmpHasCarbon(lmp) ? `Imported (${lmp.name})` : carbon.name,
+      uncoveredSlots
+    }
+  };
+};
+
+const signedPower = (entry) => {
+  if (!entry) return 0;
+  if (entry.action === 'Charge') return entry.amount;
+  if (entry.action === 'Discharge') return -entry.amount;
+  return 0;
+};
+
+// Cost and emissions of grid imports with the schedule against the same
+// series with no storage at all. Exports are not credited.
+export const evaluateSchedule = (energyData, schedule) => {
+  const stepHours = stepHoursOf(energyData);
+  let baselineCost = 0;
+  let optimizedCost = 0;
+  let baselineEmissions = 0;
+  let optimizedEmissions = 0;
+
+  energyData.hourly.forEach((entry, idx) => {
+    const surplus = surplusOf(entry);
+    const baselineImport = Math.max(0, -surplus) * stepHours;
+    const optimizedImport = Math.max(0, -(surplus - signedPower(schedule[idx]))) * stepHours;
+    baselineCost += baselineImport * entry.price;
+    optimizedCost += optimizedImport * entry.price;
+    baselineEmissions += baselineImport * entry.carbonIntensity;
+    optimizedEmissions += optimizedImport * entry.carbonIntensity;
+  });
+
+  return {
+    costSaving: Math.round(baselineCost - optimizedCost),
+    carbonReduction: Math.round(baselineEmissions - optimizedEmissions),
+    baselineCost: Math.round(baselineCost),
+    optimizedCost: Math.round(optimizedCost),
+    baselineEmissions: Math.round(baselineEmissions),
+    optimizedEmissions: Math.round(optimizedEmissions)
+  };
+};
+
+export const hasPriceSignals = (energyData) => energyData.hourly.every(entry => entry.price != null && entry.carbonIntensity != null);
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { parseLmpSeries, applyPriceSignals, getRegionPricing } from './pricing';
+
+// Slots every `minutes` from 2024-05-02 06:00 local time.
+const slots = (count, minutes = 60) => ({
+  hourly: Array.from({ length: count }, (_, idx) => {
+    const date = new Date(2024, 4, 2, 6, idx * minutes);
+    return { hour: `${date.getHours()}:00`, timestamp: date.toISOString() };
+  })
+});
+
+const lmpModel = (csv) => {
+  const parsed = parseLmpSeries(csv, 'lmp.csv');
+  expect(parsed.problems).toEqual([]);
+  return { mode: 'lmp', lmp: parsed.lmp };
+};
+
+// Two days of hourly prices: 10 + hour on May 1st, 100 + hour on May 2nd.
+const twoDaysCsv = [
+  'timestamp,lmp',
+  ...Array.from({ length: 48 }, (_, idx) => {
+    const day = 1 + Math.floor(idx / 24);
+    const hour = idx % 24;
+    return `2024-05-0${day} ${String(hour).padStart(2, '0')}:00,${(day === 1 ? 10 : 100) + hour}`;
+  })
+].join('\n');
+
+describe('applyPriceSignals', () => {
+  it('prices timestamped rows by the slot they cover, not by hour of day', () => {
+    const data = applyPriceSignals(slots(12), 'texas', lmpModel(twoDaysCsv));
+    expect(data.hourly.map(entry => entry.price)).toEqual(Array.from({ length: 12 }, (_, idx) => 106 + idx));
+    expect(data.pricing.uncoveredSlots).toBe(0);
+  });
+
+  it('gives sub-hourly slots the price of the hour they fall in', () => {
+    const data = applyPriceSignals(slots(8, 15), 'texas', lmpModel(twoDaysCsv));
+    expect(data.hourly.map(entry => entry.price)).toEqual([106, 106, 106, 106, 107, 107, 107, 107]);
+  });
+
+  it('keeps the tariff for slots past the end of the series', () => {
+    const data = applyPriceSignals(slots(24), 'texas', lmpModel(twoDaysCsv));
+    const { tariff } = getRegionPricing('texas');
+    expect(data.hourly[17].price).toBe(123);
+    expect(data.hourly[18].price).toBe(tariff.offPeakPrice);
+    expect(data.pricing.uncoveredSlots).toBe(6);
+  });
+
+  it('repeats an hour-only file as a daily profile', () => {
+    const csv = ['hour,lmp,carbon', ...Array.from({ length: 24 }, (_, hour) => `${hour},${hour * 2},0.3`)].join('\n');
+    const data = applyPriceSignals(slots(30), 'texas', lmpModel(csv));
+    expect(data.hourly[0].price).toBe(12);
+    expect(data.hourly[24].price).toBe(12);
+    expect(data.hourly.every(entry => entry.carbonIntensity === 0.3)).toBe(true);
+    expect(data.pricing.carbon).toBe('Imported (lmp.csv)');
+  });
+});
+
+describe('parseLmpSeries', () => {
+  it('reports duplicate timestamps and files that mix hours and timestamps', () => {
+    const parsed = parseLmpSeries('timestamp,hour,lmp\n2024-05-02 06:00,,40\n2024-05-02 06:00,,41\n,7,42', 'lmp.csv');
+    expect(parsed.valid).toBe(false);
+    expect(parsed.problems.map(problem => problem.message)).toEqual([
+      'Give a timestamp on every row or on none.',
+      'Duplicate timestamp.'
+    ]);
+  });
+});
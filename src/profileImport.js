@@ -0,0 +1,217 @@
+import { parseCsv } from './dataSources/common';
+import { defaultBatteryParams } from './optimizer';
+
+// Custom hourly profiles, as CSV:
+//   hour,solar (MW),wind (MW),hydro (MW),demand (MW)
+//   0,0,5400,3000,21000
+// or JSON, either an array of rows or { units: 'MW' | { solar: 'kW', ... }, hourly: [...] }.
+// Units default to MW; kW and GW are converted. Solar, wind and demand may
+// carry optional P10/P90 bands (solar_p10, solar_p90, ...) in the same unit
+// as their series; the series itself is read as P50.
+
+export const PROFILE_SERIES = ['solar', 'wind', 'hydro', 'demand'];
+const BANDED_SERIES = ['solar', 'wind', 'demand'];
+
+const UNIT_FACTORS = { mw: 1, kw: 0.001, gw: 1000 };
+const IMPLAUSIBLE_MW = 1000000;
+
+const parseColumnName = (name) => {
+  const m = String(name).trim().toLowerCase().match(/^([a-z]+)(?:[_\s]+(p10|p90))?\s*(?:[_\s]*[([]?\s*([a-z]+)\s*[)\]]?)?$/);
+  if (!m) return { field: String(name).trim().toLowerCase() };
+  return { field: m[2] ? `${m[1]}_${m[2]}` : m[1], series: m[1], unit: m[3] };
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseHour = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const m = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!m || (m[2] && m[2] !== '00')) return null;
+  const hour = Number(m[1]);
+  return hour >= 0 && hour < 24 ? hour : null;
+};
+
+const validateRows = (rawRows, units, problems) => {
+  const rows = [];
+  const seen = new Map();
+
+  rawRows.forEach((raw, idx) => {
+    const rowNumber = idx + 1;
+    if (!isObject(raw)) {
+      problems.push({ row: rowNumber, field: null, severity: 'error', message: 'Row is not an object with hour, solar, wind, hydro and demand.' });
+      return;
+    }
+    const hour = parseHour(raw.hour !== undefined ? raw.hour : raw.time);
+    if (hour === null) {
+      problems.push({ row: rowNumber, field: 'hour', severity: 'error', message: `Invalid hour "${raw.hour !== undefined ? raw.hour : raw.time || ''}" (expected 0-23 or H:00).` });
+      return;
+    }
+    if (seen.has(hour)) {
+      problems.push({ row: rowNumber, field: 'hour', severity: 'error', message: `Duplicate hour ${hour}:00 (also on row ${seen.get(hour)}).` });
+      return;
+    }
+    seen.set(hour, rowNumber);
+
+    const row = { hour };
+    PROFILE_SERIES.forEach((series) => {
+      const value = Number(String(raw[series] === undefined ? '' : raw[series]).replace(/,/g, ''));
+      if (raw[series] === undefined || raw[series] === '' || !Number.isFinite(value)) {
+        problems.push({ row: rowNumber, field: series, severity: 'error', message: `Missing or non-numeric ${series} value.` });
+        return;
+      }
+      if (value < 0) {
+        problems.push({ row: rowNumber, field: series, severity: 'error', message: `Negative ${series} value (${value}).` });
+        return;
+      }
+      const mw = value * UNIT_FACTORS[units[series]];
+      if (mw > IMPLAUSIBLE_MW) {
+        problems.push({ row: rowNumber, field: series, severity: 'warning', message: `${series} of ${Math.round(mw).toLocaleString()} MW is implausibly large — check the unit.` });
+      }
+      row[series] = mw;
+    });
+    BANDED_SERIES.forEach((series) => {
+      const bounds = ['p10', 'p90'].map(q => raw[`${series}_${q}`] ?? raw[`${series}P${q.slice(1)}`]);
+      if (bounds.every(value => value === undefined || value === '')) return;
+      const [p10, p90] = bounds.map(value => Number(String(value ?? '').replace(/,/g, '')) * UNIT_FACTORS[units[series]]);
+      if (bounds.some(value => value === undefined || value === '') || !Number.isFinite(p10) || !Number.isFinite(p90)) {
+        problems.push({ row: rowNumber, field: series, severity: 'error', message: `${series} needs both a numeric P10 and P90, or neither.` });
+        return;
+      }
+      if (p10 < 0 || p10 > p90) {
+        problems.push({ row: rowNumber, field: series, severity: 'error', message: `${series} P10 (${p10}) must be non-negative and no larger than P90 (${p90}).` });
+        return;
+      }
+      if (row[series] !== undefined && (row[series] < p10 || row[series] > p90)) {
+        problems.push({ row: rowNumber, field: series, severity: 'warning', message: `${series} value lies outside its P10–P90 band.` });
+      }
+      row[`${series}P10`] = p10;
+      row[`${series}P90`] = p90;
+    });
+    rows.push(row);
+  });
+
+  for (let hour = 0; hour < 24; hour++) {
+    if (!seen.has(hour)) {
+      problems.push({ row: null, field: 'hour', severity: 'error', message: `Missing hour ${hour}:00.` });
+    }
+  }
+
+  return rows;
+};
+
+const resolveUnits = (declared, problems) => {
+  const units = {};
+  PROFILE_SERIES.forEach((series) => {
+    const unit = (typeof declared === 'string' ? declared : (declared && declared[series])) || 'mw';
+    const key = String(unit).trim().toLowerCase();
+    if (!UNIT_FACTORS[key]) {
+      problems.push({ row: null, field: series, severity: 'error', message: `Unsupported unit "${unit}" for ${series} (use MW, kW or GW).` });
+    }
+    units[series] = UNIT_FACTORS[key] ? key : 'mw';
+  });
+  return units;
+};
+
+const fromCsv = (text, problems) => {
+  const table = parseCsv(text);
+  if (!table.length) {
+    problems.push({ row: null, field: null, severity: 'error', message: 'File has no data rows.' });
+    return { rawRows: [], declared: {} };
+  }
+  const declared = {};
+  const rename = {};
+  Object.keys(table[0]).forEach((column) => {
+    const { field, series, unit } = parseColumnName(column);
+    rename[column] = field;
+    if (unit && PROFILE_SERIES.includes(series) && !declared[series]) declared[series] = unit;
+  });
+  const rawRows = table.map(row => Object.fromEntries(
+    Object.entries(row).map(([column, value]) => [rename[column], value])
+  ));
+  return { rawRows, declared };
+};
+
+const fromJson = (text, problems) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    problems.push({ row: null, field: null, severity: 'error', message: `Invalid JSON: ${error.message}` });
+    return { rawRows: [], declared: {} };
+  }
+  const rawRows = Array.isArray(data) ? data : ((isObject(data) && data.hourly) || []);
+  if (!Array.isArray(rawRows) || !rawRows.length) {
+    problems.push({ row: null, field: null, severity: 'error', message: 'Expected an array of hourly rows or an object with an "hourly" array.' });
+    return { rawRows: [], declared: {} };
+  }
+  return { rawRows, declared: Array.isArray(data) ? {} : data.units };
+};
+
+export const parseProfile = (text, fileName = '') => {
+  const problems = [];
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  const { rawRows, declared } = isJson ? fromJson(text, problems) : fromCsv(text, problems);
+
+  if (!isJson && rawRows.length) {
+    PROFILE_SERIES.concat('hour').forEach((column) => {
+      if (!(column in rawRows[0]) && !(column === 'hour' && 'time' in rawRows[0])) {
+        problems.push({ row: null, field: column, severity: 'error', message: `Missing column "${column}".` });
+      }
+    });
+  }
+
+  const units = resolveUnits(declared, problems);
+  const rows = rawRows.length ? validateRows(rawRows, units, problems) : [];
+  const valid = !problems.some(p => p.severity === 'error');
+
+  return { rows: valid ? rows.sort((a, b) => a.hour - b.hour) : [], problems, valid };
+};
+
+// Same shape generateEnergyData returns, so the rest of the app treats an
+// imported profile like any built-in region.
+export const buildEnergyDataFromProfile = (profile, { battery = null, now = new Date() } = {}) => {
+  const hourlyData = profile.rows.map(row => ({
+    hour: `${row.hour}:00`,
+    timestamp: new Date(now.getFullYear(), now.getMonth(), now.getDate(), row.hour).toISOString(),
+    solar: Math.round(row.solar),
+    wind: Math.round(row.wind),
+    hydro: Math.round(row.hydro),
+    demand: Math.round(row.demand),
+    total: Math.round(row.solar + row.wind + row.hydro),
+    ...Object.fromEntries(Object.keys(row)
+      .filter(key => /P(10|90)$/.test(key))
+      .map(key => [key, Math.round(row[key])]))
+  }));
+  const peak = (series) => Math.max(...hourlyData.map(h => h[series]));
+  const baseLoad = peak('demand');
+  const batteryParams = battery || defaultBatteryParams(Math.max(1, Math.round(baseLoad * 0.1)));
+  const source = `Imported (${profile.name})`;
+  const current = hourlyData.find(h => h.hour === `${now.getHours()}:00`) || hourlyData[0];
+
+  return {
+    region: `Custom: ${profile.name}`,
+    timestamp: now.toISOString(),
+    current: {
+      solar: current.solar,
+      wind: current.wind,
+      hydro: current.hydro,
+      total: current.total,
+      demand: current.demand
+    },
+    hourly: hourlyData,
+    capacity: {
+      solar: peak('solar'),
+      wind: peak('wind'),
+      hydro: peak('hydro'),
+      battery: batteryParams.powerMW
+    },
+    battery: batteryParams,
+    baseLoad,
+    horizonHours: 24,
+    resolutionMinutes: 60,
+    dataSource: source,
+    sources: { solar: source, wind: source, hydro: source, demand: source },
+    usingRealSolarData: false,
+    nrelData: null
+  };
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseProfile } from './profileImport';
+
+const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, solar: 0, wind: 200, hydro: 100, demand: 1000 + hour }));
+
+const errors = profile => profile.problems.filter(problem => problem.severity === 'error');
+
+describe('parseProfile', () => {
+  it('reads a JSON array of rows', () => {
+    const profile = parseProfile(JSON.stringify(hourly), 'profile.json');
+    expect(profile.valid).toBe(true);
+    expect(profile.rows).toHaveLength(24);
+    expect(profile.rows[23]).toMatchObject({ hour: 23, demand: 1023 });
+  });
+
+  it('converts declared units', () => {
+    const profile = parseProfile(JSON.stringify({ units: { demand: 'GW' }, hourly }), 'profile.json');
+    expect(profile.valid).toBe(true);
+    expect(profile.rows[0].demand).toBe(1000000);
+    expect(profile.problems.some(problem => problem.severity === 'warning' && problem.field === 'demand')).toBe(true);
+  });
+
+  it.each([
+    ['null', 'null'],
+    ['a number', '42'],
+    ['a string', '"hourly"'],
+    ['an object without rows', '{"hourly": null}']
+  ])('reports a top-level %s instead of throwing', (_, text) => {
+    const profile = parseProfile(text, 'profile.json');
+    expect(profile.valid).toBe(false);
+    expect(errors(profile)[0].message).toMatch(/array of hourly rows/);
+  });
+
+  it('reports rows that are not objects', () => {
+    const rows = [null, 5, ['0', 1], ...hourly.slice(1)];
+    const profile = parseProfile(JSON.stringify(rows), 'profile.json');
+    expect(profile.valid).toBe(false);
+    expect(errors(profile).filter(problem => /not an object/.test(problem.message)).map(problem => problem.row)).toEqual([1, 2, 3]);
+    expect(errors(profile).some(problem => problem.message === 'Missing hour 0:00.')).toBe(true);
+  });
+
+  it('reports malformed JSON', () => {
+    const profile = parseProfile('[{"hour": 0', 'profile.json');
+    expect(profile.valid).toBe(false);
+    expect(errors(profile)[0].message).toMatch(/^Invalid JSON/);
+  });
+
+  it('reports bad hours and values by row', () => {
+    const rows = hourly.map((row, idx) => (idx === 2 ? { ...row, hour: 1 } : idx === 3 ? { ...row, wind: -5 } : row));
+    const profile = parseProfile(JSON.stringify(rows), 'profile.json');
+    expect(profile.valid).toBe(false);
+    expect(errors(profile)).toEqual(expect.arrayContaining([
+      expect.objectContaining({ row: 3, field: 'hour' }),
+      expect.objectContaining({ row: 4, field: 'wind' }),
+      expect.objectContaining({ row: null, message: 'Missing hour 2:00.' })
+    ]));
+  });
+
+  it('reports an empty CSV', () => {
+    const profile = parseProfile('', 'profile.csv');
+    expect(profile.valid).toBe(false);
+    expect(errors(profile)[0].message).toBe('File has no data rows.');
+  });
+});
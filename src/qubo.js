@@ -0,0 +1,126 @@
+import { applyPriceSignals, hasPriceSignals, CARBON_SHADOW_PRICE } from './pricing';
+import { surplusOf } from './generationMix';
+
+// QUBO view of the dispatch problem, the form QAOA works on. Each slot gets
+// two binary variables, charge and discharge at full battery power:
+//
+//   minimise  Σ_t w_t · (s_t − P·c_t + P·d_t)² / P²     grid exchange, cost weighted
+//           + A · Σ_t c_t·d_t                           not both in one slot
+//           + B · (Σ_t c_t − d_t)²                      end where we started
+//
+// where s_t is the renewable surplus and w_t the slot's import cost (price
+// plus shadow-priced carbon) relative to the mean. Variable i = 2t is c_t,
+// 2t + 1 is d_t; qubit i is bit i counting from the right of a bitstring,
+// as Qiskit prints them.
+
+export const MAX_QUBO_SLOTS = 24;
+const EXCLUSIVE_PENALTY = 4;
+const BALANCE_PENALTY = 0.5;
+
+const addQuadratic = (quadratic, i, j, value) => {
+  const key = i < j ? `${i},${j}` : `${j},${i}`;
+  quadratic.set(key, (quadratic.get(key) || 0) + value);
+};
+
+export const buildQubo = (inputData, { maxSlots = MAX_QUBO_SLOTS } = {}) => {
+  const energyData = hasPriceSignals(inputData) ? inputData : applyPriceSignals(inputData);
+  const slots = energyData.hourly.slice(0, maxSlots);
+  const power = Math.max(1, energyData.battery ? energyData.battery.powerMW : energyData.capacity.battery);
+  const costs = slots.map(entry => entry.price + CARBON_SHADOW_PRICE * entry.carbonIntensity);
+  const meanCost = costs.reduce((a, b) => a + b, 0) / Math.max(1, costs.length);
+
+  const variables = [];
+  const linear = [];
+  const quadratic = new Map();
+  let offset = 0;
+
+  slots.forEach((entry, t) => {
+    const c = 2 * t;
+    const d = 2 * t + 1;
+    const s = surplusOf(entry) / power;
+    const w = meanCost > 0 ? costs[t] / meanCost : 1;
+    variables.push({ index: c, slot: t, kind: 'charge', label: `c${t}`, hour: entry.hour });
+    variables.push({ index: d, slot: t, kind: 'discharge', label: `d${t}`, hour: entry.hour });
+    // w · (s − c + d)², with x² = x for binaries.
+    offset += w * s * s;
+    linear[c] = w * (1 - 2 * s);
+    linear[d] = w * (1 + 2 * s);
+    addQuadratic(quadratic, c, d, w * -2 + EXCLUSIVE_PENALTY);
+  });
+
+  // B · (Σ z_t)² with z_t = c_t − d_t.
+  const signs = variables.map(v => (v.kind === 'charge' ? 1 : -1));
+  for (let i = 0; i < variables.length; i++) {
+    linear[i] += BALANCE_PENALTY;
+    for (let j = i + 1; j < variables.length; j++) {
+      addQuadratic(quadratic, i, j, 2 * BALANCE_PENALTY * signs[i] * signs[j]);
+    }
+  }
+
+  return {
+    variables,
+    linear,
+    quadratic: [...quadratic.entries()]
+      .map(([key, value]) => {
+        const [i, j] = key.split(',').map(Number);
+        return { i, j, value };
+      })
+      .filter(term => term.value !== 0),
+    offset,
+    penalties: { exclusive: EXCLUSIVE_PENALTY, balance: BALANCE_PENALTY },
+    powerMW: power,
+    slots: slots.length,
+    truncated: energyData.hourly.length > slots.length
+  };
+};
+
+// x_i = (1 − z_i) / 2 turns the QUBO into an Ising model over spins z_i = ±1.
+export const quboToIsing = (qubo) => {
+  const h = qubo.linear.map(a => -a / 2);
+  let offset = qubo.offset + qubo.linear.reduce((sum, a) => sum + a / 2, 0);
+  const couplings = qubo.quadratic.map(({ i, j, value }) => {
+    h[i] -= value / 4;
+    h[j] -= value / 4;
+    offset += value / 4;
+    return { i, j, value: value / 4 };
+  });
+  return { h, couplings, offset };
+};
+
+const bitsOf = (bitstring, count) => {
+  const clean = String(bitstring).replace(/\s/g, '');
+  return Array.from({ length: count }, (_, i) => clean[clean.length - 1 - i] === '1');
+};
+
+export const quboEnergy = (qubo, bitstring) => {
+  const x = bitsOf(bitstring, qubo.variables.length).map(Number);
+  return qubo.offset
+    + qubo.linear.reduce((sum, a, i) => sum + a * x[i], 0)
+    + qubo.quadratic.reduce((sum, { i, j, value }) => sum + value * x[i] * x[j], 0);
+};
+
+export const scheduleToBitstring = (qubo, schedule) => {
+  const bits = qubo.variables.map((v) => {
+    const entry = schedule[v.slot];
+    if (!entry) return '0';
+    return (v.kind === 'charge' ? entry.action === 'Charge' : entry.action === 'Discharge') ? '1' : '0';
+  });
+  return bits.reverse().join('');
+};
+
+// One row per slot: what the bitstring asks the battery to do.
+export const bitstringToSchedule = (qubo, bitstring) => {
+  const x = bitsOf(bitstring, qubo.variables.length);
+  return Array.from({ length: qubo.slots }, (_, t) => {
+    const charge = x[2 * t];
+    const discharge = x[2 * t + 1];
+    const action = charge && !discharge ? 'Charge' : discharge && !charge ? 'Discharge' : 'Idle';
+    return {
+      hour: qubo.variables[2 * t].hour,
+      bits: `${charge ? 1 : 0}${discharge ? 1 : 0}`,
+      action,
+      amount: action === 'Idle' ? 0 : qubo.powerMW,
+      conflict: charge && discharge
+    };
+  });
+};
@@ -0,0 +1,293 @@
+import { stepHoursOf } from './timeSeries';
+import { mustRunOf, surplusOf } from './generationMix';
+
+// Rule-based recommendations over the whole horizon. Every rule looks at one
+// slot at a time (inputs plus the dispatched schedule); consecutive slots
+// that trip the same rule become a single alert. Rule settings, and which
+// alerts were acknowledged or snoozed, live in localStorage.
+//
+// An alert's `key` names its region, rule, variant and first slot. When the
+// live horizon rolls past that slot the key changes, so stored state and
+// notifications also match an alert by its `condition` (region, rule,
+// variant) and an overlapping [startsAt, endsAt) window.
+
+const RULES_KEY = 'quantum-energy-scheduler.rules';
+const ALERTS_KEY = 'quantum-energy-scheduler.alerts';
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+export const SNOOZE_OPTIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 240, label: '4 hours' },
+  { minutes: 1440, label: '1 day' }
+];
+
+const mw = value => `${Math.round(value).toLocaleString()} MW`;
+
+export const RULE_DEFINITIONS = [
+  {
+    id: 'gridImport',
+    name: 'Grid import after storage',
+    type: 'deficit',
+    defaults: { enabled: true, severity: 'warning', thresholdPct: 30 },
+    params: [{ key: 'thresholdPct', label: 'Import above (% of battery power)' }],
+    check: ({ schedule, battery }, idx, rule) => {
+      const deficit = -schedule[idx].gridBalance;
+      return deficit > battery.powerMW * rule.thresholdPct / 100 ? { score: deficit, value: deficit } : null;
+    },
+    message: (value, upTo) => `Demand exceeds supply after storage dispatch. Recommend importing ${upTo}${mw(value)} from grid.`
+  },
+  {
+    id: 'gridExport',
+    name: 'Surplus export',
+    type: 'excess',
+    defaults: { enabled: true, severity: 'info', thresholdPct: 50 },
+    params: [{ key: 'thresholdPct', label: 'Export above (% of battery power)' }],
+    check: ({ schedule, battery }, idx, rule) => {
+      const surplus = schedule[idx].gridBalance;
+      return surplus > battery.powerMW * rule.thresholdPct / 100 ? { score: surplus, value: surplus } : null;
+    },
+    message: (value, upTo) => `Battery cannot absorb all renewable output. Recommend exporting ${upTo}${mw(value)} to grid.`
+  },
+  {
+    id: 'rampRate',
+    name: 'Net-load ramp',
+    type: 'deficit',
+    defaults: { enabled: true, severity: 'warning', thresholdPct: 8, criticalPct: 15 },
+    params: [
+      { key: 'thresholdPct', label: 'Warn above (% of peak demand per hour)' },
+      { key: 'criticalPct', label: 'Critical above (% of peak demand per hour)' }
+    ],
+    check: ({ hourly, stepHours, peakDemand }, idx, rule) => {
+      if (idx === 0) return null;
+      const netLoad = entry => -surplusOf(entry);
+      const ramp = (netLoad(hourly[idx]) - netLoad(hourly[idx - 1])) / stepHours;
+      const pct = Math.abs(ramp) / peakDemand * 100;
+      if (pct <= rule.thresholdPct) return null;
+      return {
+        variant: ramp > 0 ? 'up' : 'down',
+        score: Math.abs(ramp),
+        value: ramp,
+        severity: pct > rule.criticalPct ? 'critical' : null
+      };
+    },
+    message: (value, upTo) => (value > 0
+      ? `Net load rises by ${upTo}${mw(value)}/h. Have flexible generation or storage ready to follow it.`
+      : `Net load falls by ${upTo}${mw(-value)}/h. Plan to back down flexible generation or absorb the swing in storage.`)
+  },
+  {
+    id: 'curtailment',
+    name: 'Curtailment risk',
+    type: 'excess',
+    defaults: { enabled: true, severity: 'warning', minMW: 100 },
+    params: [{ key: 'minMW', label: 'Surplus above (MW) with battery full' }],
+    check: ({ schedule, battery }, idx, rule) => {
+      // With a generation mix, dispatch has already netted off exports.
+      const surplus = schedule[idx].curtailed ?? schedule[idx].gridBalance;
+      const full = schedule[idx].stateOfCharge >= (battery.maxSoC - 0.02) * battery.capacityMWh;
+      return surplus > rule.minMW && full ? { score: surplus, value: surplus } : null;
+    },
+    message: (value, upTo) => `Battery is full; ${upTo}${mw(value)} of renewable output is at risk of curtailment unless it can be exported.`
+  },
+  {
+    id: 'reserveMargin',
+    name: 'Reserve margin shortfall',
+    type: 'deficit',
+    defaults: { enabled: true, severity: 'critical', marginPct: 15, firmPct: 85 },
+    params: [
+      { key: 'marginPct', label: 'Target reserve margin (%)' },
+      { key: 'firmPct', label: 'Firm capacity without a generation mix (% of base load)' }
+    ],
+    check: ({ hourly, schedule, battery, stepHours, baseLoad, generation }, idx, rule) => {
+      const entry = hourly[idx];
+      const before = idx > 0 ? schedule[idx - 1].stateOfCharge : battery.initialSoC * battery.capacityMWh;
+      const oneWay = Math.sqrt(battery.roundTripEfficiency);
+      const headroom = Math.max(0, Math.min(battery.powerMW, (before - battery.minSoC * battery.capacityMWh) * oneWay / stepHours));
+      const firm = generation
+        ? mustRunOf(entry) + generation.gas.capacityMW + generation.imports.limitMW
+        : baseLoad * rule.firmPct / 100;
+      const available = entry.total + headroom + firm;
+      const margin = entry.demand > 0 ? (available - entry.demand) / entry.demand * 100 : Infinity;
+      return margin < rule.marginPct ? { score: -margin, value: margin } : null;
+    },
+    message: value => `Reserve margin drops to ${value.toFixed(1)}% counting renewables, firm capacity and battery headroom. Line up additional reserves or demand response.`
+  },
+  {
+    id: 'socLimit',
+    name: 'Battery SoC near limits',
+    type: 'deficit',
+    defaults: { enabled: true, severity: 'warning', bandPct: 5 },
+    params: [{ key: 'bandPct', label: 'Warn within (% of capacity) of a limit' }],
+    check: ({ schedule, battery }, idx, rule) => {
+      const soc = schedule[idx].stateOfCharge / battery.capacityMWh;
+      if (soc >= battery.maxSoC - rule.bandPct / 100) return { variant: 'high', score: soc, value: soc * 100 };
+      if (soc <= battery.minSoC + rule.bandPct / 100) return { variant: 'low', score: -soc, value: soc * 100 };
+      return null;
+    },
+    message: (value, upTo, variant, battery) => (variant === 'high'
+      ? `Battery reaches ${Math.round(value)}% SoC, near its ${Math.round(battery.maxSoC * 100)}% ceiling; further surplus cannot be stored.`
+      : `Battery falls to ${Math.round(value)}% SoC, near its ${Math.round(battery.minSoC * 100)}% floor; little discharge is left for later deficits.`)
+  }
+];
+
+export const defaultRules = () => Object.fromEntries(RULE_DEFINITIONS.map(def => [def.id, { ...def.defaults }]));
+
+// Saved runs and cached data from before energyData carried `regionId` only
+// have the display name.
+export const alertRegion = energyData => energyData.regionId || energyData.region || '';
+
+export const evaluateRules = (energyData, schedule, rules = defaultRules()) => {
+  const hourly = energyData.hourly.slice(0, schedule.length);
+  const battery = energyData.battery;
+  const region = alertRegion(energyData);
+  const slotStart = idx => (hourly[idx].timestamp ? new Date(hourly[idx].timestamp).getTime() : undefined);
+  const peakDemand = Math.max(1, ...hourly.map(h => h.demand));
+  const ctx = {
+    hourly,
+    schedule,
+    battery,
+    stepHours: stepHoursOf(energyData),
+    peakDemand,
+    baseLoad: energyData.baseLoad || peakDemand,
+    generation: energyData.generation
+  };
+  const alerts = [];
+
+  RULE_DEFINITIONS.forEach((def) => {
+    const rule = { ...def.defaults, ...rules[def.id] };
+    if (!rule.enabled || !battery) return;
+    let open = null;
+    const close = () => {
+      if (!open) return;
+      const upTo = open.end > open.start ? 'up to ' : '';
+      const condition = `${region}:${def.id}:${open.variant}`;
+      const startsAt = slotStart(open.start);
+      alerts.push({
+        key: `${condition}|${hourly[open.start].timestamp || open.start}`,
+        condition,
+        startsAt,
+        endsAt: startsAt === undefined ? undefined : slotStart(open.end) + ctx.stepHours * 3600000,
+        ruleId: def.id,
+        severity: open.severity,
+        type: def.type === 'deficit' && open.variant === 'high' ? 'excess' : def.type,
+        time: open.end > open.start ? `${hourly[open.start].hour}–${hourly[open.end].hour}` : hourly[open.start].hour,
+        start: open.start,
+        end: open.end,
+        message: def.message(open.value, upTo, open.variant, battery)
+      });
+      open = null;
+    };
+
+    hourly.forEach((entry, idx) => {
+      const hit = schedule[idx] ? def.check(ctx, idx, rule) : null;
+      const variant = hit ? hit.variant || '' : null;
+      if (open && (!hit || variant !== open.variant)) close();
+      if (!hit) return;
+      const severity = hit.severity || rule.severity;
+      if (!open) {
+        open = { variant, start: idx, end: idx, score: hit.score, value: hit.value, severity };
+        return;
+      }
+      open.end = idx;
+      if (hit.score > open.score) {
+        open.score = hit.score;
+        open.value = hit.value;
+      }
+      if (SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(open.severity)) open.severity = severity;
+    });
+    close();
+  });
+
+  return alerts.sort((a, b) => (
+    SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || a.start - b.start
+  ));
+};
+
+export const loadRules = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(RULES_KEY)) || {};
+    return Object.fromEntries(RULE_DEFINITIONS.map(def => [def.id, { ...def.defaults, ...saved[def.id] }]));
+  } catch (error) {
+    return defaultRules();
+  }
+};
+
+export const saveRules = (rules) => {
+  localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+  return rules;
+};
+
+// Alerts without slot times (notes from the backend) keep their state this long.
+const UNTIMED_ALERT_MS = 24 * 3600000;
+
+export const isSameAlert = (a, b) => a.key === b.key || (
+  Boolean(a.condition) && a.condition === b.condition && a.startsAt < b.endsAt && b.startsAt < a.endsAt
+);
+
+// { [alert.key]: ({ acknowledged: true } | { snoozedUntil: epoch ms }) & { condition, startsAt, endsAt } }
+// Entries whose snooze ran out or whose slots are over are dropped on load.
+export const loadAlertState = (now = Date.now()) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERTS_KEY)) || {};
+    return Object.fromEntries(Object.entries(saved).filter(([, entry]) => (
+      entry.endsAt > now && (entry.acknowledged || entry.snoozedUntil > now)
+    )));
+  } catch (error) {
+    return {};
+  }
+};
+
+const saveAlertState = (state) => {
+  localStorage.setItem(ALERTS_KEY, JSON.stringify(state));
+  return state;
+};
+
+const storedKey = (state, alert) => Object.keys(state).find(key => isSameAlert({ key, ...state[key] }, alert));
+
+export const alertStateEntry = (state, alert) => state[storedKey(state, alert)];
+
+const setAlertEntry = (state, alert, entry, now) => {
+  const { [storedKey(state, alert)]: replaced, ...rest } = state;
+  return saveAlertState({
+    ...rest,
+    [alert.key]: {
+      ...entry,
+      condition: alert.condition,
+      startsAt: alert.startsAt,
+      endsAt: alert.endsAt ?? now + UNTIMED_ALERT_MS
+    }
+  });
+};
+
+export const acknowledgeAlert = (state, alert, now = Date.now()) => setAlertEntry(state, alert, { acknowledged: true }, now);
+
+export const snoozeAlert = (state, alert, minutes, now = Date.now()) => (
+  setAlertEntry(state, alert, { snoozedUntil: now + minutes * 60000 }, now)
+);
+
+export const restoreAlert = (state, alert) => {
+  const { [storedKey(state, alert)]: removed, ...rest } = state;
+  return saveAlertState(rest);
+};
+
+// Moves stored entries onto the current alerts, so an acknowledgement keeps
+// covering an alert as the horizon rolls and its window shifts. Returns
+// `state` itself when nothing changed.
+export const refreshAlertState = (state, alerts) => {
+  let next = state;
+  alerts.forEach((alert) => {
+    const key = storedKey(next, alert);
+    const entry = next[key];
+    if (!entry || alert.endsAt === undefined || (key === alert.key && entry.endsAt >= alert.endsAt)) return;
+    const { [key]: moved, ...rest } = next;
+    next = { ...rest, [alert.key]: { ...entry, startsAt: alert.startsAt, endsAt: Math.max(entry.endsAt, alert.endsAt) } };
+  });
+  return next === state ? state : saveAlertState(next);
+};
+
+export const isAlertActive = (alert, state, now = Date.now()) => {
+  const entry = alertStateEntry(state, alert);
+  if (!entry) return true;
+  if (entry.acknowledged) return false;
+  return !(entry.snoozedUntil > now);
+};
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { acknowledgeAlert, snoozeAlert, isAlertActive, loadAlertState, refreshAlertState } from './recommendations';
+
+const HOUR = 3600000;
+const T0 = new Date('2024-05-01T16:00:00Z').getTime();
+
+// A texas peak alert over [from, to) hours after T0.
+const alert = (from, to) => ({
+  key: `texas:peakShaving:|${new Date(T0 + from * HOUR).toISOString()}`,
+  condition: 'texas:peakShaving:',
+  startsAt: T0 + from * HOUR,
+  endsAt: T0 + to * HOUR
+});
+
+beforeEach(() => {
+  const store = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value))
+  });
+  return () => vi.unstubAllGlobals();
+});
+
+describe('alert state', () => {
+  it('keeps an acknowledgement when the horizon rolls past the alert start', () => {
+    const state = acknowledgeAlert({}, alert(0, 3), T0);
+    expect(isAlertActive(alert(1, 3), state, T0 + HOUR)).toBe(false);
+    expect(isAlertActive({ ...alert(1, 3), condition: 'pjm:peakShaving:', key: 'pjm' }, state, T0 + HOUR)).toBe(true);
+    expect(isAlertActive(alert(4, 5), state, T0 + HOUR)).toBe(true);
+  });
+
+  it('follows an alert that outlasts the acknowledged window', () => {
+    let state = acknowledgeAlert({}, alert(0, 2), T0);
+    state = refreshAlertState(state, [alert(1, 4)]);
+    expect(refreshAlertState(state, [alert(1, 4)])).toBe(state);
+    expect(isAlertActive(alert(3, 5), state, T0 + 3 * HOUR)).toBe(false);
+  });
+
+  it('drops expired snoozes and finished alerts on load', () => {
+    let state = snoozeAlert({}, alert(0, 6), 60, T0);
+    state = acknowledgeAlert(state, alert(8, 9), T0);
+    state = acknowledgeAlert(state, alert(20, 24), T0);
+    expect(Object.keys(loadAlertState(T0 + 30 * 60000))).toHaveLength(3);
+    expect(Object.keys(loadAlertState(T0 + 2 * HOUR))).toEqual([alert(8, 9).key, alert(20, 24).key]);
+    expect(Object.keys(loadAlertState(T0 + 10 * HOUR))).toEqual([alert(20, 24).key]);
+  });
+});
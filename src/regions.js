@@ -0,0 +1,21 @@
+export const regions = [
+  { id: 'california', name: 'California (CAISO)', utilityId: 'PacifiCorp', shortName: 'California', lat: 36.7783, lon: -119.4179 },
+  { id: 'texas', name: 'Texas (ERCOT)', utilityId: 'Oncor', shortName: 'Texas', lat: 31.9686, lon: -99.9018 },
+  { id: 'newyork', name: 'New York (NYISO)', utilityId: 'ConEdison', shortName: 'New York', lat: 42.1657, lon: -74.9481 },
+  { id: 'newengland', name: 'New England (ISO-NE)', utilityId: 'Eversource', shortName: 'New England', lat: 44.5588, lon: -69.6544 },
+  { id: 'midwest', name: 'Midwest (MISO)', utilityId: 'ComEd', shortName: 'Midwest', lat: 41.8781, lon: -87.6298 },
+  { id: 'pjm', name: 'PJM Interconnection', utilityId: 'PECO', shortName: 'PJM', lat: 40.0583, lon: -76.3055 },
+  { id: 'southwest', name: 'Southwest (SPP)', utilityId: 'AEP', shortName: 'Southwest', lat: 35.2220, lon: -101.8313 },
+  { id: 'northwest', name: 'Northwest (BPA)', utilityId: 'Seattle City Light', shortName: 'Northwest', lat: 47.7511, lon: -120.7401 }
+];
+
+export const regionConfig = {
+  california: { baseLoad: 35000, solarPeak: 0.4, windFactor: 0.2, hydroFactor: 0.15 },
+  texas: { baseLoad: 45000, solarPeak: 0.35, windFactor: 0.35, hydroFactor: 0.05 },
+  newyork: { baseLoad: 28000, solarPeak: 0.25, windFactor: 0.2, hydroFactor: 0.1 },
+  newengland: { baseLoad: 22000, solarPeak: 0.2, windFactor: 0.25, hydroFactor: 0.12 },
+  midwest: { baseLoad: 38000, solarPeak: 0.28, windFactor: 0.4, hydroFactor: 0.08 },
+  pjm: { baseLoad: 42000, solarPeak: 0.3, windFactor: 0.22, hydroFactor: 0.1 },
+  southwest: { baseLoad: 32000, solarPeak: 0.38, windFactor: 0.32, hydroFactor: 0.06 },
+  northwest: { baseLoad: 26000, solarPeak: 0.22, windFactor: 0.18, hydroFactor: 0.25 }
+};
@@ -0,0 +1,179 @@
+// Past optimization runs, kept in IndexedDB so they survive reloads, plus
+// the latest energyData and results per region for the offline view. Each
+// run has a small summary record next to it, so the history list never loads
+// the full energyData snapshots; only the newest MAX_RUNS_PER_REGION runs of
+// a region are kept.
+
+const DB_NAME = 'quantum-energy-scheduler';
+const DB_VERSION = 3;
+const STORE = 'runs';
+const SUMMARY_STORE = 'runSummaries';
+const LATEST_STORE = 'latest';
+
+export const MAX_RUNS_PER_REGION = 20;
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const summaryOf = ({ id, timestamp, regionId, region, backend, algorithm, solver }) => (
+  { id, timestamp, regionId, region, backend, algorithm, solver }
+);
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    const open = indexedDB.open(DB_NAME, DB_VERSION);
+    open.onupgradeneeded = (event) => {
+      if (event.oldVersion < 1) {
+        const store = open.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('regionId', 'regionId');
+        store.createIndex('timestamp', 'timestamp');
+      }
+      if (event.oldVersion < 2) {
+        open.result.createObjectStore(LATEST_STORE, { keyPath: 'regionId' });
+      }
+      if (event.oldVersion < 3) {
+        const summaries = open.result.createObjectStore(SUMMARY_STORE, { keyPath: 'id' });
+        summaries.createIndex('regionId', 'regionId');
+        open.transaction.objectStore(STORE).openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+          summaries.put(summaryOf(cursor.value));
+          cursor.continue();
+        };
+      }
+    };
+    dbPromise = request(open);
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn, storeName = STORE) => {
+  const db = await openDb();
+  return request(fn(db.transaction(storeName, mode).objectStore(storeName)));
+};
+
+const withRunStores = async (mode, fn) => {
+  const tx = (await openDb()).transaction([STORE, SUMMARY_STORE], mode);
+  const [result] = await Promise.all([fn(tx.objectStore(STORE), tx.objectStore(SUMMARY_STORE)), transactionDone(tx)]);
+  return result;
+};
+
+// Resolves with the new run's id once it is stored and the region's oldest
+// runs beyond MAX_RUNS_PER_REGION are gone.
+export const saveRun = (regionId, energyData, quantumResults) => withRunStores('readwrite', async (runs, summaries) => {
+  const run = {
+    timestamp: new Date().toISOString(),
+    regionId,
+    region: energyData.region,
+    backend: quantumResults.usingRealBackend ? 'qiskit' : 'fallback',
+    algorithm: quantumResults.metrics.optimization,
+    solver: quantumResults.solver || null,
+    energyData,
+    quantumResults
+  };
+  const id = await request(runs.add(run));
+  summaries.put(summaryOf({ ...run, id }));
+  const ids = await request(summaries.index('regionId').getAllKeys(regionId));
+  ids.sort((a, b) => a - b).slice(0, -MAX_RUNS_PER_REGION).forEach((old) => {
+    runs.delete(old);
+    summaries.delete(old);
+  });
+  return id;
+});
+
+// Summaries only ({ id, timestamp, regionId, region, backend, algorithm,
+// solver }), newest first; getRun loads the full record.
+export const listRuns = async () => {
+  const runs = await withStore('readonly', store => store.getAll(), SUMMARY_STORE);
+  return runs.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+};
+
+export const getRun = async (id) => (await withStore('readonly', store => store.get(id))) || null;
+
+export const deleteRun = (id) => withRunStores('readwrite', (runs, summaries) => {
+  runs.delete(id);
+  summaries.delete(id);
+});
+
+export const clearRuns = () => withRunStores('readwrite', (runs, summaries) => {
+  runs.clear();
+  summaries.clear();
+});
+
+// One entry per region, overwritten by every run. Unlike the history it is
+// not cleared from the history panel: it is what the dashboard falls back
+// to while loading and when offline.
+export const saveLatestRun = (regionId, energyData, quantumResults) => withStore('readwrite', store => store.put({
+  regionId,
+  savedAt: new Date().toISOString(),
+  energyData,
+  quantumResults
+}), LATEST_STORE);
+
+export const loadLatestRun = async (regionId) => (
+  (await withStore('readonly', store => store.get(regionId), LATEST_STORE)) || null
+);
+
+const SUMMARY_FIELDS = [
+  { key: 'totalOptimization', label: 'Efficiency Gain', unit: '%' },
+  { key: 'costSaving', label: 'Cost Savings', unit: '$' },
+  { key: 'carbonReduction', label: 'CO₂ Reduction', unit: 't' },
+  { key: 'efficiency', label: 'System Efficiency', unit: '%' }
+];
+
+const signedPower = (entry) => {
+  if (!entry) return null;
+  if (entry.action === 'Charge') return entry.amount;
+  if (entry.action === 'Discharge') return -entry.amount;
+  return 0;
+};
+
+// Runs saved before the rule engine only had the two grid rules and no ruleId.
+const recommendationKey = (rec) => (
+  `${rec.ruleId || (rec.type === 'excess' ? 'gridExport' : 'gridImport')}|${rec.time}|${rec.type}`
+);
+
+// Lines two runs up for display: schedules by slot, summary figures with
+// their difference (b - a), and recommendations that appeared, disappeared
+// or changed wording for the same rule, hour and type.
+export const compareRuns = (a, b) => {
+  const scheduleA = a.quantumResults.schedule;
+  const scheduleB = b.quantumResults.schedule;
+  const schedule = Array.from({ length: Math.max(scheduleA.length, scheduleB.length) }, (_, idx) => ({
+    hour: (scheduleB[idx] || scheduleA[idx]).hour,
+    powerA: signedPower(scheduleA[idx]),
+    powerB: signedPower(scheduleB[idx]),
+    socA: scheduleA[idx] ? scheduleA[idx].stateOfCharge : null,
+    socB: scheduleB[idx] ? scheduleB[idx].stateOfCharge : null
+  }));
+
+  const summary = SUMMARY_FIELDS.map(field => ({
+    ...field,
+    a: a.quantumResults.summary[field.key],
+    b: b.quantumResults.summary[field.key],
+    delta: b.quantumResults.summary[field.key] - a.quantumResults.summary[field.key]
+  }));
+
+  const recsA = new Map(a.quantumResults.recommendations.map(rec => [recommendationKey(rec), rec]));
+  const recsB = new Map(b.quantumResults.recommendations.map(rec => [recommendationKey(rec), rec]));
+  const recommendations = { added: [], removed: [], changed: [] };
+  recsB.forEach((rec, key) => {
+    if (!recsA.has(key)) recommendations.added.push(rec);
+    else if (recsA.get(key).message !== rec.message) recommendations.changed.push({ before: recsA.get(key), after: rec });
+  });
+  recsA.forEach((rec, key) => {
+    if (!recsB.has(key)) recommendations.removed.push(rec);
+  });
+
+  return { schedule, summary, recommendations };
+};
@@ -0,0 +1,73 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+
+const energyData = region => ({ region, hourly: Array.from({ length: 24 }, (_, hour) => ({ hour: `${hour}:00` })) });
+const quantumResults = label => ({ usingRealBackend: false, metrics: { optimization: label }, schedule: [], recommendations: [], summary: {} });
+
+const request = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+let history;
+
+// A version 2 database as earlier releases left it: full runs, no summaries.
+beforeAll(async () => {
+  const open = indexedDB.open('quantum-energy-scheduler', 2);
+  open.onupgradeneeded = () => {
+    const runs = open.result.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+    runs.createIndex('regionId', 'regionId');
+    runs.createIndex('timestamp', 'timestamp');
+    open.result.createObjectStore('latest', { keyPath: 'regionId' });
+    runs.add({ timestamp: '2024-05-01T10:00:00.000Z', regionId: 'texas', region: 'Texas', backend: 'fallback', algorithm: 'Old', solver: null, energyData: energyData('Texas'), quantumResults: quantumResults('Old') });
+  };
+  const db = await request(open);
+  db.close();
+  history = await import('./runHistory');
+});
+
+describe('runHistory', () => {
+  it('lists runs saved before summaries existed', async () => {
+    const [run] = await history.listRuns();
+    expect(run).toEqual({ id: 1, timestamp: '2024-05-01T10:00:00.000Z', regionId: 'texas', region: 'Texas', backend: 'fallback', algorithm: 'Old', solver: null });
+    expect((await history.getRun(1)).energyData.hourly).toHaveLength(24);
+  });
+
+  describe('with an empty history', () => {
+    beforeEach(() => history.clearRuns());
+
+    it('lists summaries and loads full runs by id', async () => {
+      const id = await history.saveRun('texas', energyData('Texas'), quantumResults('DP'));
+      const runs = await history.listRuns();
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({ id, regionId: 'texas', region: 'Texas', algorithm: 'DP', backend: 'fallback' });
+      expect(runs[0].energyData).toBeUndefined();
+      expect((await history.getRun(id)).quantumResults.metrics.optimization).toBe('DP');
+      expect(await history.getRun(id + 1000)).toBeNull();
+    });
+
+    it('keeps only the newest runs of each region', async () => {
+      const ids = [];
+      for (let i = 0; i < history.MAX_RUNS_PER_REGION + 3; i++) {
+        ids.push(await history.saveRun('texas', energyData('Texas'), quantumResults(`DP ${i}`)));
+      }
+      await history.saveRun('california', energyData('California'), quantumResults('DP'));
+
+      const runs = await history.listRuns();
+      const texas = runs.filter(run => run.regionId === 'texas').map(run => run.id).sort((a, b) => a - b);
+      expect(texas).toEqual(ids.slice(3));
+      expect(runs.filter(run => run.regionId === 'california')).toHaveLength(1);
+      expect(await history.getRun(ids[0])).toBeNull();
+    });
+
+    it('deletes a run and its summary', async () => {
+      const keep = await history.saveRun('texas', energyData('Texas'), quantumResults('A'));
+      const drop = await history.saveRun('texas', energyData('Texas'), quantumResults('B'));
+      await history.deleteRun(drop);
+
+      expect((await history.listRuns()).map(run => run.id)).toEqual([keep]);
+      expect(await history.getRun(drop)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// What-if scenarios layered on top of whatever energyData is loaded. Region
+// values are edited as absolutes but applied as ratios against the loaded
+// data, so the same scenario works for simulated, ISO and imported profiles.
+
+import { hourOfDay } from './timeSeries';
+import { scaleBands } from './uncertainty';
+
+const STORAGE_KEY = 'quantum-energy-scheduler.scenarios';
+
+const FACTORS = { solarPeak: 'solar', windFactor: 'wind', hydroFactor: 'hydro' };
+
+export const scenarioBaseValues = (energyData) => ({
+  baseLoad: energyData.baseLoad,
+  ...Object.fromEntries(Object.entries(FACTORS).map(([key, series]) => [
+    key,
+    Number((energyData.capacity[series] / energyData.baseLoad).toFixed(3))
+  ]))
+});
+
+export const createScenario = (regionId, energyData) => ({
+  id: null,
+  name: '',
+  regionId,
+  ...scenarioBaseValues(energyData),
+  demandGrowth: 0,
+  heatWave: { multiplier: 1.2, hours: '' },
+  windLull: { factor: 0.3, hours: '' },
+  cloudCover: { fraction: 0.6, hours: '' }
+});
+
+// "14-19, 22" -> Set { 14, 15, 16, 17, 18, 19, 22 }; ranges may wrap midnight.
+export const parseHourList = (text) => {
+  const hours = new Set();
+  String(text || '').split(',').map(part => part.trim()).filter(Boolean).forEach((part) => {
+    const m = part.match(/^(\d{1,2})(?:\s*-\s*(\d{1,2}))?$/);
+    if (!m) return;
+    const start = Number(m[1]);
+    const end = m[2] === undefined ? start : Number(m[2]);
+    if (start > 23 || end > 23) return;
+    for (let h = start; ; h = (h + 1) % 24) {
+      hours.add(h);
+      if (h === end) break;
+    }
+  });
+  return hours;
+};
+
+// Factors are shown rounded, so an untouched field must map to exactly 1.
+const factorScale = (scenario, base, key, series, energyData) => {
+  if (scenario[key] === base[key]) return 1;
+  const current = energyData.capacity[series] / energyData.baseLoad;
+  return current > 0 ? scenario[key] / current : 1;
+};
+
+export const applyScenario = (energyData, scenario) => {
+  const base = scenarioBaseValues(energyData);
+  const loadScale = base.baseLoad > 0 ? scenario.baseLoad / base.baseLoad : 1;
+  const demandScale = loadScale * (1 + scenario.demandGrowth / 100);
+  const solarScale = loadScale * factorScale(scenario, base, 'solarPeak', 'solar', energyData);
+  const windScale = loadScale * factorScale(scenario, base, 'windFactor', 'wind', energyData);
+  const hydroScale = loadScale * factorScale(scenario, base, 'hydroFactor', 'hydro', energyData);
+  const heatWaveHours = parseHourList(scenario.heatWave.hours);
+  const windLullHours = parseHourList(scenario.windLull.hours);
+  const cloudHours = parseHourList(scenario.cloudCover.hours);
+
+  const hourly = energyData.hourly.map((entry) => {
+    const hour = hourOfDay(entry);
+    const factors = {
+      solar: solarScale * (cloudHours.has(hour) ? 1 - scenario.cloudCover.fraction : 1),
+      wind: windScale * (windLullHours.has(hour) ? scenario.windLull.factor : 1),
+      demand: demandScale * (heatWaveHours.has(hour) ? scenario.heatWave.multiplier : 1)
+    };
+    const solar = Math.round(entry.solar * factors.solar);
+    const wind = Math.round(entry.wind * factors.wind);
+    const hydro = Math.round(entry.hydro * hydroScale);
+    const demand = Math.round(entry.demand * factors.demand);
+    return { ...entry, ...scaleBands(entry, factors), solar, wind, hydro, demand, total: solar + wind + hydro };
+  });
+
+  return {
+    ...energyData,
+    region: `${energyData.region} — ${scenario.name || 'Scenario'}`,
+    current: {
+      ...energyData.current,
+      solar: hourly[0].solar,
+      wind: hourly[0].wind,
+      hydro: hourly[0].hydro,
+      total: hourly[0].total,
+      demand: hourly[0].demand
+    },
+    hourly,
+    capacity: {
+      ...energyData.capacity,
+      solar: Math.round(energyData.capacity.solar * solarScale),
+      wind: Math.round(energyData.capacity.wind * windScale),
+      hydro: Math.round(energyData.capacity.hydro * hydroScale)
+    },
+    baseLoad: scenario.baseLoad,
+    scenario
+  };
+};
+
+export const listScenarios = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveScenario = (scenario) => {
+  const saved = { ...scenario, id: scenario.id || String(Date.now()) };
+  const scenarios = listScenarios().filter(s => s.id !== saved.id).concat(saved);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return saved;
+};
+
+export const deleteScenario = (id) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(listScenarios().filter(s => s.id !== id)));
+};
@@ -0,0 +1,80 @@
+// Connection settings. Defaults come from Vite env variables (see
+// .env.example); anything changed in the settings panel is stored in
+// localStorage and layered on top.
+
+const STORAGE_KEY = 'quantum-energy-scheduler.settings';
+
+export const envSettings = {
+  apiUrl: import.meta.env.VITE_API_URL || 'https://quantumscheduler.up.railway.app',
+  authHeader: import.meta.env.VITE_API_AUTH_HEADER || 'Authorization',
+  authToken: import.meta.env.VITE_API_TOKEN || '',
+  requestTimeoutMs: Number(import.meta.env.VITE_REQUEST_TIMEOUT_MS) || 60000,
+  nrelApiKey: import.meta.env.VITE_NREL_API_KEY || 'DEMO_KEY',
+  pjmApiKey: import.meta.env.VITE_PJM_API_KEY || ''
+};
+
+export const SECRET_SETTINGS = ['authToken', 'nrelApiKey', 'pjmApiKey'];
+
+const readOverrides = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const loadSettings = () => ({ ...envSettings, ...readOverrides() });
+
+export const saveSettings = (settings) => {
+  const overrides = Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) => key in envSettings && value !== envSettings[key])
+  );
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  return { ...envSettings, ...overrides };
+};
+
+export const resetSettings = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return { ...envSettings };
+};
+
+// A plain token under the Authorization header is sent as a bearer token;
+// any other header name gets the value as-is (e.g. X-API-Key).
+export const authHeaders = (settings) => {
+  if (!settings.authToken || !settings.authHeader) return {};
+  const value = settings.authHeader.toLowerCase() === 'authorization' && !/\s/.test(settings.authToken)
+    ? `Bearer ${settings.authToken}`
+    : settings.authToken;
+  return { [settings.authHeader]: value };
+};
+
+export const redactSecrets = (text, settings) => SECRET_SETTINGS.reduce(
+  (result, key) => (settings[key] ? result.split(settings[key]).join('***') : result),
+  String(text)
+);
+
+// `options.signal` lets callers cancel; a cancelled request rejects with an
+// AbortError, a timed-out one with a plain Error.
+export const fetchWithTimeout = async (url, { signal, ...options } = {}, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', cancel, { once: true });
+  }
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
+    if (controller.signal.aborted) {
+      throw new Error(`Request timed out after ${Math.round(timeoutMs / 1000)}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+};
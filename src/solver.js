@@ -0,0 +1,83 @@
+// Which solver a run asks for and how it is configured. Sent to the backend
+// as `solver` next to the energyData fields and stored with every result,
+// so a run can be repeated with the same settings.
+
+const STORAGE_KEY = 'quantum-energy-scheduler.solver';
+
+export const SOLVERS = [
+  { id: 'qaoa', name: 'QAOA', quantum: true },
+  { id: 'vqe', name: 'VQE', quantum: true },
+  { id: 'milp', name: 'Classical MILP', quantum: false },
+  { id: 'local', name: 'Local fallback (DP)', quantum: false }
+];
+
+export const CLASSICAL_OPTIMIZERS = ['COBYLA', 'SPSA', 'L-BFGS-B', 'NELDER_MEAD'];
+
+export const defaultSolverSettings = {
+  solver: 'qaoa',
+  reps: 1,
+  shots: 1024,
+  optimizer: 'COBYLA',
+  maxIterations: 100,
+  backend: 'simulator'
+};
+
+export const isQuantumSolver = (settings) => Boolean((SOLVERS.find(s => s.id === settings.solver) || {}).quantum);
+
+// Only the fields that mean something for the chosen solver.
+export const solverRequest = (settings) => {
+  if (settings.solver === 'local') return { solver: 'local' };
+  if (settings.solver === 'milp') return { solver: 'milp', maxIterations: settings.maxIterations };
+  return {
+    solver: settings.solver,
+    ...(settings.solver === 'qaoa' ? { reps: settings.reps } : {}),
+    shots: settings.shots,
+    optimizer: settings.optimizer,
+    maxIterations: settings.maxIterations,
+    backend: settings.backend
+  };
+};
+
+// Checks only what solverRequest sends for the chosen solver; the fields a
+// solver ignores are disabled in the panel and may hold anything.
+export const validateSolverSettings = (settings) => {
+  const errors = [];
+  if (!SOLVERS.some(s => s.id === settings.solver)) errors.push(`Unknown solver "${settings.solver}".`);
+  const request = solverRequest(settings);
+  if ('reps' in request && !(Number.isInteger(request.reps) && request.reps >= 1 && request.reps <= 10)) {
+    errors.push('QAOA depth p must be a whole number from 1 to 10.');
+  }
+  if ('shots' in request && !(Number.isInteger(request.shots) && request.shots >= 1 && request.shots <= 100000)) {
+    errors.push('Shots must be a whole number from 1 to 100,000.');
+  }
+  if ('maxIterations' in request && !(Number.isInteger(request.maxIterations) && request.maxIterations >= 1 && request.maxIterations <= 10000)) {
+    errors.push('Max iterations must be a whole number from 1 to 10,000.');
+  }
+  if ('optimizer' in request && !CLASSICAL_OPTIMIZERS.includes(request.optimizer)) errors.push(`Unknown optimizer "${request.optimizer}".`);
+  if ('backend' in request && !['simulator', 'hardware'].includes(request.backend)) errors.push('Backend must be simulator or hardware.');
+  return errors;
+};
+
+export const describeSolver = (request) => {
+  const solver = SOLVERS.find(s => s.id === request.solver);
+  const parts = [solver ? solver.name : request.solver];
+  if (request.reps) parts.push(`p=${request.reps}`);
+  if (request.shots) parts.push(`${request.shots.toLocaleString()} shots`);
+  if (request.optimizer) parts.push(request.optimizer);
+  if (request.maxIterations) parts.push(`≤${request.maxIterations} iterations`);
+  if (request.backend) parts.push(request.backend);
+  return parts.join(' · ');
+};
+
+export const loadSolverSettings = () => {
+  try {
+    return { ...defaultSolverSettings, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (error) {
+    return { ...defaultSolverSettings };
+  }
+};
+
+export const saveSolverSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
@@ -0,0 +1,44 @@
+// Horizon and resolution of an energyData series. Every entry carries an ISO
+// `timestamp`; `hour` stays as the display label used by charts and lists.
+
+export const HORIZON_OPTIONS = [
+  { hours: 24, label: '24 hours' },
+  { hours: 48, label: '48 hours' },
+  { hours: 72, label: '72 hours' },
+  { hours: 168, label: '7 days' }
+];
+
+export const RESOLUTION_OPTIONS = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 5, label: '5 minutes' }
+];
+
+export const DEFAULT_HORIZON = { hours: 24, resolutionMinutes: 60 };
+
+export const slotTimestamps = (now, horizonHours, resolutionMinutes) => {
+  const start = new Date(now);
+  start.setSeconds(0, 0);
+  start.setMinutes(Math.floor(start.getMinutes() / resolutionMinutes) * resolutionMinutes);
+  const count = Math.round(horizonHours * 60 / resolutionMinutes);
+  return Array.from({ length: count }, (_, idx) => new Date(start.getTime() + idx * resolutionMinutes * 60000));
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// "15:00" for a single day, "Tue 15:00" once the horizon spans several days.
+export const formatSlotLabel = (date, multiDay) => {
+  const time = `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return multiDay ? `${WEEKDAYS[date.getDay()]} ${time}` : time;
+};
+
+export const stepHoursOf = (energyData) => (energyData.resolutionMinutes || 60) / 60;
+
+export const hourOfDay = (entry) => (
+  entry.timestamp ? new Date(entry.timestamp).getHours() : parseInt(entry.hour, 10)
+);
+
+export const horizonLabel = (energyData) => {
+  const hours = energyData.horizonHours || Math.round(energyData.hourly.length * stepHoursOf(energyData));
+  return hours > 72 && hours % 24 === 0 ? `${hours / 24}-Day` : `${hours}-Hour`;
+};
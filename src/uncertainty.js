@@ -0,0 +1,177 @@
+import { stepHoursOf } from './timeSeries';
+import { mustRunOf, surplusOf } from './generationMix';
+
+// Forecast uncertainty as P10/P90 bands around the deterministic series
+// (taken as P50), plus seeded scenario sampling for robust scheduling.
+// Bands are stored flat on each slot (solarP10, solarP90, ...) so charts and
+// CSV export can read them like any other field. Imported bands are kept;
+// anything missing comes from a simple forecast-error model whose relative
+// spread widens with lead time.
+
+export const BAND_SERIES = ['solar', 'wind', 'demand'];
+
+// z-score of the 90th percentile of a standard normal.
+const Z90 = 1.2816;
+// Relative standard deviation at lead time 0 and one day ahead.
+const ERROR_MODEL = {
+  solar: { now: 0.08, dayAhead: 0.25 },
+  wind: { now: 0.1, dayAhead: 0.35 },
+  demand: { now: 0.015, dayAhead: 0.05 }
+};
+// Forecast errors persist for a few hours (AR(1) with this time constant).
+const ERROR_CORRELATION_HOURS = 6;
+
+export const DEFAULT_SAMPLES = 20;
+// Risk is measured on its own, larger draw so a robust schedule is never
+// scored on the samples it was optimized against.
+const EVALUATION_SAMPLES = 100;
+const EVALUATION_SEED = 7;
+
+export const bandKeys = series => [`${series}P10`, `${series}P90`];
+
+export const hasBands = (entry, series) => {
+  const [lo, hi] = bandKeys(series);
+  return Number.isFinite(entry[lo]) && Number.isFinite(entry[hi]);
+};
+
+const relativeSpread = (series, leadHours) => {
+  const { now, dayAhead } = ERROR_MODEL[series];
+  return now + (dayAhead - now) * Math.min(2, Math.sqrt(leadHours / 24));
+};
+
+export const addUncertaintyBands = (energyData) => {
+  const stepHours = stepHoursOf(energyData);
+  const sources = {};
+  BAND_SERIES.forEach((series) => {
+    sources[series] = energyData.hourly.every(entry => hasBands(entry, series))
+      ? (energyData.sources && energyData.sources[series]) || 'Imported'
+      : 'Forecast error model';
+  });
+
+  const hourly = energyData.hourly.map((entry, idx) => {
+    const next = { ...entry };
+    BAND_SERIES.forEach((series) => {
+      if (sources[series] !== 'Forecast error model') return;
+      const [lo, hi] = bandKeys(series);
+      const spread = Z90 * relativeSpread(series, idx * stepHours);
+      next[lo] = Math.round(Math.max(0, entry[series] * (1 - spread)));
+      next[hi] = Math.round(entry[series] * (1 + spread));
+    });
+    return next;
+  });
+
+  return { ...energyData, hourly, uncertainty: { sources } };
+};
+
+// Bands move with their series when a scenario rescales it.
+export const scaleBands = (entry, factors) => {
+  const scaled = {};
+  Object.entries(factors).forEach(([series, factor]) => {
+    if (!hasBands(entry, series)) return;
+    bandKeys(series).forEach((key) => {
+      scaled[key] = Math.round(entry[key] * factor);
+    });
+  });
+  return scaled;
+};
+
+// mulberry32: small, fast and good enough for Monte Carlo samples that
+// must come out the same for the same seed.
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const createNormal = (random) => () => {
+  const u = Math.max(random(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Each sample is an array of { solar, wind, demand, total } per slot. Errors
+// are drawn per series with AR(1) correlation in time and mapped through the
+// slot's P10/P50/P90, so skewed (e.g. imported) bands are respected.
+export const sampleScenarios = (energyData, count = DEFAULT_SAMPLES, seed = 1) => {
+  const random = createRandom(seed);
+  const normal = createNormal(random);
+  const rho = Math.exp(-stepHoursOf(energyData) / ERROR_CORRELATION_HOURS);
+  const innovation = Math.sqrt(1 - rho * rho);
+
+  return Array.from({ length: count }, () => {
+    const errors = Object.fromEntries(BAND_SERIES.map(series => [series, normal()]));
+    return energyData.hourly.map((entry, idx) => {
+      const sample = {};
+      BAND_SERIES.forEach((series) => {
+        if (idx > 0) errors[series] = rho * errors[series] + innovation * normal();
+        const e = errors[series];
+        const [lo, hi] = bandKeys(series);
+        const p50 = entry[series];
+        const width = hasBands(entry, series) ? (e >= 0 ? entry[hi] - p50 : p50 - entry[lo]) / Z90 : 0;
+        sample[series] = Math.max(0, p50 + e * width);
+      });
+      sample.total = sample.solar + sample.wind + entry.hydro;
+      return sample;
+    });
+  });
+};
+
+// Firm supply beyond renewables, nuclear and storage: gas plus imports when
+// the region has a generation mix (see generationMix.js), otherwise the
+// largest deficit of the P50 forecast with no storage — enough for the
+// expected day, not for a bad draw.
+export const defaultImportLimit = (energyData) => {
+  if (energyData.generation) {
+    return energyData.generation.gas.capacityMW + energyData.generation.imports.limitMW;
+  }
+  return Math.round(Math.max(0, ...energyData.hourly.map(entry => -surplusOf(entry))));
+};
+
+const signedPower = entry => (entry.action === 'Charge' ? entry.amount : entry.action === 'Discharge' ? -entry.amount : 0);
+
+// The schedule is fixed in advance; each sample replays it and counts the
+// demand left over once the import limit is reached.
+export const assessSchedule = (energyData, schedule, scenarios, importLimitMW) => {
+  const stepHours = stepHoursOf(energyData);
+  const slotRisk = schedule.map(() => 0);
+  let scenariosShort = 0;
+  let slotsShort = 0;
+  let unmetEnergy = 0;
+  let worstMW = 0;
+
+  scenarios.forEach((sample) => {
+    let short = false;
+    schedule.forEach((entry, idx) => {
+      const unmet = sample[idx].demand - sample[idx].total - mustRunOf(energyData.hourly[idx]) + signedPower(entry) - importLimitMW;
+      if (unmet <= 0) return;
+      short = true;
+      slotsShort += 1;
+      slotRisk[idx] += 1;
+      unmetEnergy += unmet * stepHours;
+      worstMW = Math.max(worstMW, unmet);
+    });
+    if (short) scenariosShort += 1;
+  });
+
+  const n = Math.max(1, scenarios.length);
+  return {
+    samples: scenarios.length,
+    importLimitMW,
+    scenarioShare: Math.round(scenariosShort / n * 100),
+    slotShare: Number((slotsShort / n / Math.max(1, schedule.length) * 100).toFixed(1)),
+    expectedUnmetMWh: Math.round(unmetEnergy / n),
+    worstUnmetMW: Math.round(worstMW),
+    slotRisk: slotRisk.map(count => count / n)
+  };
+};
+
+export const scheduleRisk = (energyData, schedule, importLimitMW = defaultImportLimit(energyData)) => assessSchedule(
+  energyData,
+  schedule,
+  sampleScenarios(energyData, EVALUATION_SAMPLES, EVALUATION_SEED),
+  importLimitMW
+);